@@ -0,0 +1,409 @@
+/*
+	APNG Builder
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Builds an Animated PNG (APNG) file from a sequence of frames. Frames
+ * can be given as canvases, ImageData objects, images or PNG blobs and
+ * are all encoded as 8-bit RGBA.
+ *
+ * Each frame can have its own delay, offset, dispose and blend operation
+ * (see the [official documentation]{@link https://developer.mozilla.org/en-US/docs/Mozilla/Tech/APNG}
+ * for the various definitions). The first frame must cover the entire
+ * animation as it is also used as the default image.
+ *
+ * @example
+ * var builder = new APNG.Builder(320, 240, {iterations: 0});
+ * builder.addFrame(canvas1, {delay: 100})
+ *        .addFrame(canvas2, {delay: 100, x: 10, y: 10, blend: 1});
+ * builder.toBlob().then(function(blob) { ... });
+ *
+ * @param {Number} width - width of animation in pixels
+ * @param {Number} height - height of animation in pixels
+ * @param {APNGBuilderOptions} [options] - options for the builder
+ * @constructor
+ */
+APNG.Builder = function(width, height, options) {
+
+  options = Object.assign({}, {
+    iterations: 0
+  }, options);
+
+  const me = this;
+  const frames = [];
+
+  if ( !(width > 0 && height > 0) )
+    throw new RangeError('Width and height must be positive.');
+
+  /**
+   * Width of animation in pixels
+   * @type {number}
+   */
+  this.width = width | 0;
+
+  /**
+   * Height of animation in pixels
+   * @type {number}
+   */
+  this.height = height | 0;
+
+  /**
+   * Number of iterations (loops) to write to the animation header chunk.
+   * 0 means infinite.
+   * @type {number}
+   */
+  this.iterations = options.iterations;
+
+  /**
+   * Number of frames currently added.
+   * @member {Number} APNG.Builder#length
+   */
+  Object.defineProperty(this, 'length', { get: function() {return frames.length;} });
+
+  /**
+   * Adds a frame to the animation.
+   *
+   * @param {HTMLCanvasElement|OffscreenCanvas|ImageData|HTMLImageElement|ImageBitmap|Blob} source - source for frame pixels.
+   *   ImageData-like objects ({width, height, data}) are also accepted.
+   * @param {APNGBuilderFrameOptions} [frameOptions] - timing, region and operations for this frame
+   * @returns {APNG.Builder} this instance for chaining
+   */
+  this.addFrame = function(source, frameOptions) {
+    frameOptions = Object.assign({}, {
+      delay  : 100,
+      x      : 0,
+      y      : 0,
+      dispose: 0,
+      blend  : 0
+    }, frameOptions);
+
+    if ( !source ) throw new TypeError('A frame source is required.');
+    if ( !(isFinite(frameOptions.delay) && frameOptions.delay >= 0) )
+      throw new RangeError('Delay must be a finite number, 0 or more.');
+
+    frames.push({ source: source, options: frameOptions });
+    return me;
+  };
+
+  /**
+   * Builds the APNG file from the added frames.
+   * @returns {Promise<ArrayBuffer>} resolves to the binary APNG file
+   */
+  this.build = function() {
+    if ( !frames.length ) return Promise.reject(new Error('No frames to build.'));
+
+    return Promise
+      .all(frames.map(function(frame) {return APNG.Builder._getPixels(frame.source);}))
+      .then(function(list) {
+        return Promise.all(list.map(function(pixels, index) {
+          checkRegion(pixels, frames[ index ].options, index);
+          frames[ index ].region = { width: pixels.width, height: pixels.height };
+          return APNG.Builder._deflate(APNG.Builder._filter(pixels));
+        }));
+      })
+      .then(assemble);
+  };
+
+  /**
+   * Builds the APNG file from the added frames as a Blob.
+   * @returns {Promise<Blob>} resolves to a Blob with mime-type "image/png"
+   */
+  this.toBlob = function() {
+    return me.build().then(function(buffer) {
+      return new Blob([ buffer ], { type: 'image/png' });
+    });
+  };
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function checkRegion(pixels, info, index) {
+    if ( info.x < 0 || info.y < 0 || info.x + pixels.width > me.width || info.y + pixels.height > me.height )
+      throw new RangeError('Frame ' + index + ' is outside the animation area.');
+
+    if ( !index && (info.x || info.y || pixels.width !== me.width || pixels.height !== me.height) )
+      throw new RangeError('First frame must cover the entire animation area.');
+  }
+
+  function assemble(compressed) {
+    const list = [ new Uint8Array([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]) ];
+    let seqNo = 0;
+
+    // header: 8-bit RGBA, default compression, filter and no interlacing
+    list.push(chunk('IHDR', 13, function(dv) {
+      dv.setUint32(0, me.width);
+      dv.setUint32(4, me.height);
+      dv.setUint8(8, 8);
+      dv.setUint8(9, 6);
+    }));
+
+    list.push(chunk('acTL', 8, function(dv) {
+      dv.setUint32(0, frames.length);
+      dv.setUint32(4, me.iterations | 0);
+    }));
+
+    compressed.forEach(function(data, index) {
+      const info = frames[ index ].options;
+      const region = frames[ index ].region;
+      const delay = APNG.Builder._toFraction(info.delay);
+
+      list.push(chunk('fcTL', 26, function(dv) {
+        dv.setUint32(0, seqNo++);
+        dv.setUint32(4, region.width);
+        dv.setUint32(8, region.height);
+        dv.setUint32(12, info.x);
+        dv.setUint32(16, info.y);
+        dv.setUint16(20, delay.num);
+        dv.setUint16(22, delay.den);
+        dv.setUint8(24, info.dispose);
+        dv.setUint8(25, info.blend);
+      }));
+
+      // first frame is the default image, the rest are stored as frame data chunks with sequence number
+      if ( index ) {
+        const fdat = new Uint8Array(data.length + 4);
+        new DataView(fdat.buffer).setUint32(0, seqNo++);
+        fdat.set(data, 4);
+        list.push(APNG._makeChunk('fdAT', fdat));
+      }
+      else {
+        list.push(APNG._makeChunk('IDAT', data));
+      }
+    });
+
+    list.push(APNG._makeChunk('IEND', new Uint8Array(0)));
+
+    return concat(list).buffer;
+  }
+
+  function chunk(name, size, fn) {
+    const data = new Uint8Array(size);
+    fn(new DataView(data.buffer));
+    return APNG._makeChunk(name, data);
+  }
+
+  function concat(list) {
+    const result = new Uint8Array(list.reduce(function(prev, curr) {return prev + curr.length;}, 0));
+    let pos = 0;
+
+    list.forEach(function(part) {
+      result.set(part, pos);
+      pos += part.length;
+    });
+
+    return result;
+  }
+};
+
+/**
+ * Resolves the pixels of a frame source as an ImageData-like object.
+ * @param {*} source - canvas, ImageData(-like), drawable image or PNG Blob
+ * @returns {Promise<{width: Number, height: Number, data: Uint8ClampedArray}>}
+ * @private
+ */
+APNG.Builder._getPixels = function(source) {
+
+  // ImageData or compatible object
+  if ( source.data && source.width && source.height ) {
+    return Promise.resolve(source);
+  }
+
+  // Canvas with a 2D context
+  if ( typeof source.getContext === 'function' ) {
+    return Promise.resolve(source.getContext('2d').getImageData(0, 0, source.width, source.height));
+  }
+
+  // PNG blob is decoded by the browser first
+  if ( typeof Blob !== 'undefined' && source instanceof Blob ) {
+    return createImageBitmap(source).then(fromDrawable);
+  }
+
+  return Promise.resolve(fromDrawable(source));
+
+  function fromDrawable(img) {
+    const width = img.naturalWidth || img.width;
+    const height = img.naturalHeight || img.height;
+    const canvas = typeof OffscreenCanvas === 'function' ? new OffscreenCanvas(width, height) : document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+
+    canvas.width = width;
+    canvas.height = height;
+    ctx.drawImage(img, 0, 0);
+
+    return ctx.getImageData(0, 0, width, height);
+  }
+};
+
+/**
+ * Converts RGBA pixels into filtered PNG scanlines. Each line uses the
+ * filter type producing the smallest sum of absolute values, as
+ * recommended by the PNG specification.
+ *
+ * @param {{width: Number, height: Number, data: Uint8ClampedArray}} pixels - 8-bit RGBA pixels
+ * @returns {Uint8Array} filtered scanlines, each prefixed with filter type
+ * @private
+ */
+APNG.Builder._filter = function(pixels) {
+  const data = pixels.data;
+  const stride = pixels.width << 2;
+  const result = new Uint8Array((stride + 1) * pixels.height);
+  const line = new Uint8Array(stride);
+  let best = new Uint8Array(stride);
+  let y, type, bestType, bestSum, sum, i, a, b, c, p, pa, pb, pc, v;
+
+  for(y = 0; y < pixels.height; y++) {
+    const cur = y * stride;
+    const prev = cur - stride;
+    bestSum = Infinity;
+    bestType = 0;
+
+    for(type = 0; type < 5; type++) {
+      sum = 0;
+      for(i = 0; i < stride; i++) {
+        a = i < 4 ? 0 : data[ cur + i - 4 ];
+        b = y ? data[ prev + i ] : 0;
+        c = i < 4 || !y ? 0 : data[ prev + i - 4 ];
+
+        if ( type === 0 ) v = data[ cur + i ];
+        else if ( type === 1 ) v = data[ cur + i ] - a;
+        else if ( type === 2 ) v = data[ cur + i ] - b;
+        else if ( type === 3 ) v = data[ cur + i ] - ((a + b) >>> 1);
+        else {
+          p = a + b - c;
+          pa = Math.abs(p - a);
+          pb = Math.abs(p - b);
+          pc = Math.abs(p - c);
+          v = data[ cur + i ] - (pa <= pb && pa <= pc ? a : pb <= pc ? b : c);
+        }
+
+        line[ i ] = v;
+        v = line[ i ];
+        sum += v < 128 ? v : 256 - v;
+      }
+
+      if ( sum < bestSum ) {
+        bestSum = sum;
+        bestType = type;
+        best.set(line);
+      }
+    }
+
+    result[ y * (stride + 1) ] = bestType;
+    result.set(best, y * (stride + 1) + 1);
+  }
+
+  return result;
+};
+
+/**
+ * Compresses data into a zlib stream. Uses the native `CompressionStream`
+ * if available, otherwise stored (uncompressed) deflate blocks are
+ * produced which are valid but larger.
+ *
+ * @param {Uint8Array} data - data to compress
+ * @returns {Promise<Uint8Array>}
+ * @private
+ */
+APNG.Builder._deflate = function(data) {
+
+  if ( typeof CompressionStream === 'function' ) {
+    const stream = new Blob([ data ]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Response(stream).arrayBuffer().then(function(buffer) {return new Uint8Array(buffer);});
+  }
+
+  const blocks = Math.max(1, Math.ceil(data.length / 0xffff));
+  const result = new Uint8Array(data.length + blocks * 5 + 6);
+  const dv = new DataView(result.buffer);
+  let pos = 2, i = 0, s1 = 1, s2 = 0, len;
+
+  result[ 0 ] = 0x78;                                                   // deflate, 32K window
+  result[ 1 ] = 0x01;                                                   // no dictionary, fastest
+
+  do {
+    len = Math.min(0xffff, data.length - i);
+    result[ pos++ ] = i + len >= data.length ? 1 : 0;                   // BFINAL, BTYPE = 00 (stored)
+    dv.setUint16(pos, len, true);
+    dv.setUint16(pos + 2, ~len & 0xffff, true);
+    result.set(data.subarray(i, i + len), pos + 4);
+    pos += len + 4;
+    i += len;
+  } while( i < data.length );
+
+  // Adler-32 checksum
+  for(i = 0; i < data.length; i++) {
+    s1 = (s1 + data[ i ]) % 65521;
+    s2 = (s2 + s1) % 65521;
+  }
+  dv.setUint32(pos, ((s2 << 16) | s1) >>> 0);
+
+  return Promise.resolve(result);
+};
+
+/**
+ * Converts a delay in milliseconds to the numerator/denominator pair (in
+ * seconds) for the frame control chunk. The closest fraction with 16-bit
+ * numerator and denominator is found using continued fractions, so
+ * delays read from a file, such as 1/30 s, are written back exactly.
+ *
+ * @param {Number} delay - delay in milliseconds
+ * @returns {{num: Number, den: Number}}
+ * @private
+ */
+APNG.Builder._toFraction = function(delay) {
+  const max = 0xffff;
+  const value = Math.max(0, delay) / 1000;
+  let x = value;
+  let num0 = 0, num1 = 1, den0 = 1, den1 = 0;                         // previous two convergents
+  let a, num2, den2, t, i;
+
+  if ( !isFinite(delay) ) throw new RangeError('Delay must be a finite number.');
+  if ( value >= max ) return { num: max, den: 1 };
+
+  // terms grow at least as fast as the Fibonacci numbers, so the limit is reached well within 64 steps
+  for(i = 0; i < 64; i++) {
+    a = Math.floor(x);
+    num2 = a * num1 + num0;
+    den2 = a * den1 + den0;
+
+    // limit reached: compare last convergent with the largest semi-convergent within the limit
+    if ( num2 > max || den2 > max ) {
+      t = Math.min(num1 ? Math.floor((max - num0) / num1) : max, Math.floor((max - den0) / den1));
+      num2 = t * num1 + num0;
+      den2 = t * den1 + den0;
+      if ( Math.abs(num2 / den2 - value) < Math.abs(num1 / den1 - value) ) return { num: num2, den: den2 };
+      return { num: num1, den: den1 };
+    }
+
+    num0 = num1;
+    num1 = num2;
+    den0 = den1;
+    den1 = den2;
+
+    if ( x - a < 1e-9 ) break;
+    x = 1 / (x - a);
+  }
+
+  return { num: num1, den: den1 };
+};
+
+/**
+ * @name APNGBuilderOptions
+ * @prop {Number} [options.iterations=0] - number of iterations (loops) for the animation. 0 means infinite.
+ */
+
+/**
+ * @name APNGBuilderFrameOptions
+ * @prop {Number} [delay=100] - delay for this frame in milliseconds
+ * @prop {Number} [x=0] - horizontal offset of frame region
+ * @prop {Number} [y=0] - vertical offset of frame region
+ * @prop {Number} [dispose=0] - dispose operation: 0 = none, 1 = background, 2 = previous
+ * @prop {Number} [blend=0] - blend operation: 0 = source, 1 = over
+ */
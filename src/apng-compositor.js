@@ -0,0 +1,224 @@
+/*
+	APNG Compositor
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Composites the raw frames of an animation into complete frames held as
+ * RGBA pixel buffers, without using a canvas. Region, blend operation
+ * (source or source-over) and dispose operation (none, background or
+ * previous) are applied as defined by the APNG specification.
+ *
+ * The compositor works with decoded frames, that is, frames parsed with
+ * the `headless` option (ImageData compatible objects), and can be used
+ * in workers and Node.js to diff, hash or export complete frames.
+ *
+ * @example
+ * APNG.parse(buffer, {headless: true}).then(function(apng) {
+ *   var compositor = new APNG.Compositor(apng);
+ *   var frame = compositor.getFrame(10);   // {width, height, data}
+ * });
+ *
+ * @param {APNG.Parser} apng - parser object with decoded frames
+ * @constructor
+ */
+APNG.Compositor = function(apng) {
+
+  const me = this;
+  const width = apng.width;
+  const height = apng.height;
+  const buffer = new Uint8ClampedArray(width * height * 4);
+  let saved = null;                                                     // region saved for dispose op. previous
+  let disposeInfo = null;                                               // frame info of last frame
+  let disposeOp = 0;                                                    // dispose op. of last frame, applied before next frame
+  let index = -1;
+
+  apng.frames.forEach(function(frame) {
+    if ( !frame || !frame.data ) throw new TypeError('Compositor requires decoded frames (use the headless option).');
+  });
+
+  /**
+   * Width of the composited frames in pixels.
+   * @type {number}
+   */
+  this.width = width;
+
+  /**
+   * Height of the composited frames in pixels.
+   * @type {number}
+   */
+  this.height = height;
+
+  /**
+   * Index of last composited frame, or -1 if none has been composited
+   * since creation or reset.
+   * @member {Number} APNG.Compositor#currentFrame
+   */
+  Object.defineProperty(this, 'currentFrame', { get: function() {return index;} });
+
+  /**
+   * Composites and returns the next frame. Wraps around to the first
+   * frame (with a cleared canvas) after the last frame.
+   * @returns {{width: Number, height: Number, data: Uint8ClampedArray}} a copy of the complete frame
+   */
+  this.next = function() {
+    if ( index + 1 >= apng.frames.length ) me.reset();
+    step();
+    return output();
+  };
+
+  /**
+   * Composites and returns the complete frame at index. Frames are
+   * composited from the current position if index is ahead, otherwise
+   * from the first frame.
+   *
+   * @param {Number} frame - frame index
+   * @returns {{width: Number, height: Number, data: Uint8ClampedArray}} a copy of the complete frame
+   */
+  this.getFrame = function(frame) {
+    frame = Math.max(0, Math.min(apng.frames.length - 1, frame | 0));
+
+    if ( frame < index ) me.reset();
+    while( index < frame ) step();
+
+    return output();
+  };
+
+  /**
+   * Clears the internal canvas and sets position before first frame.
+   */
+  this.reset = function() {
+    buffer.fill(0);
+    saved = null;
+    disposeInfo = null;
+    disposeOp = 0;
+    index = -1;
+  };
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // Apply dispose op. of the last frame, then composite next frame. The buffer holds the complete
+  // frame until the next step, so it is only copied when output.
+  function step() {
+    const info = apng.frameInfo[ ++index ];
+    const frame = apng.frames[ index ];
+
+    if ( disposeOp === 1 ) clearRegion(disposeInfo);
+    else if ( disposeOp === 2 ) putRegion(disposeInfo, saved);
+
+    disposeInfo = info;
+    disposeOp = !index && info.dispose === 2 ? 1 : info.dispose;        // first frame: previous is treated as background
+
+    if ( disposeOp === 2 ) saved = getRegion(info);
+
+    draw(frame, info);
+  }
+
+  function draw(frame, info) {
+    const src = frame.data;
+    const x0 = info.x;
+    const y0 = info.y;
+    const w = Math.max(0, Math.min(frame.width, width - x0));
+    const h = Math.max(0, Math.min(frame.height, height - y0));
+    let x, y, s, d, sa, da, oa;
+
+    if ( !w ) return;                                                   // region is outside the canvas
+
+    for(y = 0; y < h; y++) {
+      s = y * frame.width << 2;
+      d = ((y0 + y) * width + x0) << 2;
+
+      if ( info.blend === 0 ) {
+        buffer.set(src.subarray(s, s + (w << 2)), d);
+        continue;
+      }
+
+      for(x = 0; x < w; x++, s += 4, d += 4) {
+        sa = src[ s + 3 ];
+        if ( sa === 255 ) {
+          buffer[ d ] = src[ s ];
+          buffer[ d + 1 ] = src[ s + 1 ];
+          buffer[ d + 2 ] = src[ s + 2 ];
+          buffer[ d + 3 ] = 255;
+        }
+        else if ( sa ) {
+          sa /= 255;
+          da = buffer[ d + 3 ] / 255 * (1 - sa);
+          oa = sa + da;
+          buffer[ d ] = (src[ s ] * sa + buffer[ d ] * da) / oa;
+          buffer[ d + 1 ] = (src[ s + 1 ] * sa + buffer[ d + 1 ] * da) / oa;
+          buffer[ d + 2 ] = (src[ s + 2 ] * sa + buffer[ d + 2 ] * da) / oa;
+          buffer[ d + 3 ] = oa * 255;
+        }
+      }
+    }
+  }
+
+  function getRegion(info) {
+    const w = regionWidth(info);
+    const h = regionHeight(info);
+    const region = new Uint8ClampedArray(w * h);
+
+    for(let y = 0; y < h; y++) {
+      const d = ((info.y + y) * width + info.x) << 2;
+      region.set(buffer.subarray(d, d + w), y * w);
+    }
+
+    return region;
+  }
+
+  function putRegion(info, region) {
+    const w = regionWidth(info);
+    const h = regionHeight(info);
+
+    if ( !w ) return;
+
+    for(let y = 0; y < h; y++) {
+      buffer.set(region.subarray(y * w, y * w + w), ((info.y + y) * width + info.x) << 2);
+    }
+  }
+
+  function clearRegion(info) {
+    const w = regionWidth(info);
+    const h = regionHeight(info);
+
+    for(let y = 0; y < h; y++) {
+      const d = ((info.y + y) * width + info.x) << 2;
+      buffer.fill(0, d, d + w);
+    }
+  }
+
+  // part of frame region inside the canvas: width in bytes and height, 0 if the region is outside
+  function regionWidth(info) {
+    return Math.max(0, Math.min(info.width, width - info.x)) << 2;
+  }
+
+  function regionHeight(info) {
+    return Math.max(0, Math.min(info.height, height - info.y));
+  }
+
+  function output() {
+    return { width: width, height: height, data: buffer.slice() };
+  }
+};
+
+/**
+ * Composites all frames of an animation. Note that this holds a complete
+ * RGBA buffer for every frame in memory.
+ *
+ * @param {APNG.Parser} apng - parser object with decoded frames
+ * @returns {Array<{width: Number, height: Number, data: Uint8ClampedArray}>}
+ * @static
+ */
+APNG.Compositor.composite = function(apng) {
+  const compositor = new APNG.Compositor(apng);
+  return apng.frames.map(function() {return compositor.next();});
+};
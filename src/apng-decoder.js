@@ -0,0 +1,423 @@
+/*
+	APNG Decoder
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Decodes compressed PNG image data (IDAT/fdAT streams) into 8-bit RGBA
+ * pixels in pure JavaScript, without using DOM objects. This allows
+ * frames to be processed in Node.js and workers.
+ *
+ * All color types and bit depths are supported, including palettes with
+ * transparency (tRNS) and Adam7 interlacing. 16-bit samples are reduced
+ * to 8-bit.
+ *
+ * The same decoder can be used for all frames of an animation as they
+ * share the image header.
+ *
+ * @param {APNGDecoderHeader} header - image header information
+ * @constructor
+ */
+APNG.Decoder = function(header) {
+
+  const bitDepth = header.bitDepth;
+  const colorType = header.colorType;
+  const interlace = header.interlace;
+  const palette = header.palette || null;
+  const trns = header.transparency || null;
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[ colorType ];
+  const depths = { 0: [ 1, 2, 4, 8, 16 ], 2: [ 8, 16 ], 3: [ 1, 2, 4, 8 ], 4: [ 8, 16 ], 6: [ 8, 16 ] }[ colorType ];
+  const bitsPP = channels * bitDepth;                                   // bits per pixel
+  const bpp = Math.max(1, bitsPP >> 3);                                 // bytes per complete pixel for filtering
+  const maxValue = (1 << bitDepth) - 1;
+  const scale = bitDepth < 8 ? 255 / maxValue : 1;
+  let trnsKey = null;
+
+  if ( !depths || depths.indexOf(bitDepth) < 0 )
+    throw new APNG.DecodeError('Unsupported color type ' + colorType + ' with bit depth ' + bitDepth + '.');
+
+  if ( interlace > 1 )
+    throw new APNG.DecodeError('Unsupported interlace method ' + interlace + '.');
+
+  if ( colorType === 3 && !palette )
+    throw new APNG.DecodeError('Missing palette (PLTE) for indexed color image.');
+
+  // transparency key for gray and RGB as sample values at image bit depth
+  if ( trns && (colorType === 0 || colorType === 2) ) {
+    trnsKey = [];
+    for(let i = 0; i < trns.length - 1; i += 2) trnsKey.push(trns[ i ] << 8 | trns[ i + 1 ]);
+  }
+
+  /**
+   * Decodes the compressed image data for a frame.
+   *
+   * @param {Array<Uint8Array>|Uint8Array} parts - compressed data, either as a single array or as
+   *   parts in order (IDAT/fdAT payloads without sequence number).
+   * @param {Number} width - width of frame in pixels
+   * @param {Number} height - height of frame in pixels
+   * @returns {{width: Number, height: Number, data: Uint8ClampedArray}} ImageData compatible object
+   */
+  this.decode = function(parts, width, height) {
+    const out = new Uint8ClampedArray(width * height * 4);
+    const passes = interlace ? APNG.Decoder._adam7 : [ [ 0, 0, 1, 1 ] ];
+    const size = expectedSize(width, height, passes);
+    const raw = APNG.Decoder.inflate(Array.isArray(parts) ? concat(parts) : parts, size, size);
+    let pos = 0;
+
+    passes.forEach(function(pass) {
+      const pw = Math.ceil((width - pass[ 0 ]) / pass[ 2 ]);
+      const ph = Math.ceil((height - pass[ 1 ]) / pass[ 3 ]);
+      const stride = Math.ceil(pw * bitsPP / 8);
+      let prev = -1, x, y;
+
+      if ( !pw || !ph ) return;
+
+      if ( pos + (stride + 1) * ph > raw.length )
+        throw new APNG.DecodeError('Not enough image data.');
+
+      for(y = 0; y < ph; y++) {
+        unfilter(raw, pos, prev, stride);
+        for(x = 0; x < pw; x++) {
+          writePixel(raw, pos + 1, x, out, ((pass[ 1 ] + y * pass[ 3 ]) * width + pass[ 0 ] + x * pass[ 2 ]) << 2);
+        }
+        prev = pos;
+        pos += stride + 1;
+      }
+    });
+
+    return { width: width, height: height, data: out };
+  };
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function expectedSize(width, height, passes) {
+    return passes.reduce(function(size, pass) {
+      const pw = Math.ceil((width - pass[ 0 ]) / pass[ 2 ]);
+      const ph = Math.ceil((height - pass[ 1 ]) / pass[ 3 ]);
+      return pw && ph ? size + (Math.ceil(pw * bitsPP / 8) + 1) * ph : size;
+    }, 0);
+  }
+
+  // Reverse filter for a scanline in-place. prev is position of previous (unfiltered) line or -1.
+  function unfilter(data, pos, prev, stride) {
+    const type = data[ pos ];
+    const start = pos + 1;
+    const end = start + stride;
+    const up = prev + 1;
+    let i, a, b, c, p, pa, pb, pc;
+
+    if ( type === 0 ) return;
+
+    for(i = start; i < end; i++) {
+      a = i - start >= bpp ? data[ i - bpp ] : 0;
+      b = prev >= 0 ? data[ up + i - start ] : 0;
+
+      if ( type === 1 ) data[ i ] += a;
+      else if ( type === 2 ) data[ i ] += b;
+      else if ( type === 3 ) data[ i ] += (a + b) >>> 1;
+      else if ( type === 4 ) {
+        c = prev >= 0 && i - start >= bpp ? data[ up + i - start - bpp ] : 0;
+        p = a + b - c;
+        pa = Math.abs(p - a);
+        pb = Math.abs(p - b);
+        pc = Math.abs(p - c);
+        data[ i ] += pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      else throw new APNG.DecodeError('Invalid filter type ' + type + '.');
+    }
+  }
+
+  // Get sample n from a scanline at image bit depth
+  function sample(data, line, n) {
+    if ( bitDepth === 8 ) return data[ line + n ];
+    if ( bitDepth === 16 ) return data[ line + (n << 1) ] << 8 | data[ line + (n << 1) + 1 ];
+
+    const bit = n * bitDepth;
+    return (data[ line + (bit >> 3) ] >> (8 - bitDepth - (bit & 7))) & maxValue;
+  }
+
+  function to8(v) {
+    return bitDepth === 16 ? v >> 8 : bitDepth < 8 ? Math.round(v * scale) : v;
+  }
+
+  function writePixel(data, line, x, out, o) {
+    const n = x * channels;
+    let v, r, g, b;
+
+    if ( colorType === 0 ) {
+      v = sample(data, line, n);
+      out[ o ] = out[ o + 1 ] = out[ o + 2 ] = to8(v);
+      out[ o + 3 ] = trnsKey && v === trnsKey[ 0 ] ? 0 : 255;
+    }
+    else if ( colorType === 2 ) {
+      r = sample(data, line, n);
+      g = sample(data, line, n + 1);
+      b = sample(data, line, n + 2);
+      out[ o ] = to8(r);
+      out[ o + 1 ] = to8(g);
+      out[ o + 2 ] = to8(b);
+      out[ o + 3 ] = trnsKey && r === trnsKey[ 0 ] && g === trnsKey[ 1 ] && b === trnsKey[ 2 ] ? 0 : 255;
+    }
+    else if ( colorType === 3 ) {
+      v = sample(data, line, n);
+      out[ o ] = palette[ v * 3 ];
+      out[ o + 1 ] = palette[ v * 3 + 1 ];
+      out[ o + 2 ] = palette[ v * 3 + 2 ];
+      out[ o + 3 ] = trns && v < trns.length ? trns[ v ] : 255;
+    }
+    else if ( colorType === 4 ) {
+      out[ o ] = out[ o + 1 ] = out[ o + 2 ] = to8(sample(data, line, n));
+      out[ o + 3 ] = to8(sample(data, line, n + 1));
+    }
+    else {
+      out[ o ] = to8(sample(data, line, n));
+      out[ o + 1 ] = to8(sample(data, line, n + 1));
+      out[ o + 2 ] = to8(sample(data, line, n + 2));
+      out[ o + 3 ] = to8(sample(data, line, n + 3));
+    }
+  }
+
+  function concat(list) {
+    const result = new Uint8Array(list.reduce(function(prev, curr) {return prev + curr.length;}, 0));
+    let pos = 0;
+
+    list.forEach(function(part) {
+      result.set(part, pos);
+      pos += part.length;
+    });
+
+    return result;
+  }
+};
+
+/**
+ * Adam7 passes as [x offset, y offset, x step, y step].
+ * @private
+ */
+APNG.Decoder._adam7 = [
+  [ 0, 0, 8, 8 ], [ 4, 0, 8, 8 ], [ 0, 4, 4, 8 ], [ 2, 0, 4, 4 ], [ 0, 2, 2, 4 ], [ 1, 0, 2, 2 ], [ 0, 1, 1, 2 ]
+];
+
+/**
+ * Decompresses a zlib stream (as used by PNG) in pure JavaScript.
+ * Preset dictionaries are not supported and the Adler-32 checksum is
+ * not verified.
+ *
+ * @param {Uint8Array} data - zlib compressed data
+ * @param {Number} [sizeHint] - expected size of decompressed data, used for initial allocation
+ * @param {Number} [maxSize] - max. size of decompressed data. Data that decompresses to more is rejected with a
+ *   {@link APNG.DecodeError} (decompression bombs).
+ * @returns {Uint8Array} decompressed data
+ * @static
+ */
+APNG.Decoder.inflate = function(data, sizeHint, maxSize) {
+
+  const LEN_BASE = [ 3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258 ];
+  const LEN_EXTRA = [ 0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0 ];
+  const DIST_BASE = [ 1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577 ];
+  const DIST_EXTRA = [ 0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13 ];
+  const CL_ORDER = [ 16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15 ];
+
+  let out = new Uint8Array(Math.max(1024, sizeHint | 0));
+  let outPos = 0;
+  let pos = 2;
+  let bitBuf = 0;
+  let bitCnt = 0;
+  let final, type, fixed;
+
+  if ( data.length < 2 || (data[ 0 ] & 0x0f) !== 8 || ((data[ 0 ] << 8) | data[ 1 ]) % 31 )
+    throw new APNG.DecodeError('Invalid zlib header.');
+
+  if ( data[ 1 ] & 0x20 )
+    throw new APNG.DecodeError('Preset dictionaries are not supported.');
+
+  do {
+    final = bits(1);
+    type = bits(2);
+
+    if ( type === 0 ) stored();
+    else if ( type === 1 ) {
+      fixed = fixed || fixedTables();
+      block(fixed[ 0 ], fixed[ 1 ]);
+    }
+    else if ( type === 2 ) dynamic();
+    else throw new APNG.DecodeError('Invalid deflate block type.');
+  } while( !final );
+
+  return out.subarray(0, outPos);
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INFLATE INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function bits(n) {
+    let v;
+    while( bitCnt < n ) {
+      if ( pos >= data.length ) throw new APNG.DecodeError('Unexpected end of compressed data.');
+      bitBuf |= data[ pos++ ] << bitCnt;
+      bitCnt += 8;
+    }
+    v = bitBuf & ((1 << n) - 1);
+    bitBuf >>>= n;
+    bitCnt -= n;
+    return v;
+  }
+
+  function ensure(size) {
+    if ( maxSize && outPos + size > maxSize ) throw new APNG.DecodeError('Decompressed data exceeds ' + maxSize + ' bytes.');
+    if ( outPos + size > out.length ) {
+      const tmp = new Uint8Array(Math.max(out.length << 1, outPos + size));
+      tmp.set(out);
+      out = tmp;
+    }
+  }
+
+  // Canonical Huffman table as counts per code length and symbols sorted by code
+  function table(lengths, offset, num) {
+    const counts = new Uint16Array(16);
+    const offs = new Uint16Array(16);
+    const symbols = new Uint16Array(num);
+    let i;
+
+    for(i = 0; i < num; i++) counts[ lengths[ offset + i ] ]++;
+    counts[ 0 ] = 0;
+    for(i = 1; i < 16; i++) offs[ i ] = offs[ i - 1 ] + counts[ i - 1 ];
+    for(i = 0; i < num; i++) {
+      if ( lengths[ offset + i ] ) symbols[ offs[ lengths[ offset + i ] ]++ ] = i;
+    }
+
+    return { counts: counts, symbols: symbols };
+  }
+
+  function decodeSymbol(t) {
+    let code = 0, first = 0, index = 0, len, count;
+
+    for(len = 1; len < 16; len++) {
+      code |= bits(1);
+      count = t.counts[ len ];
+      if ( code - count < first ) return t.symbols[ index + (code - first) ];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+
+    throw new APNG.DecodeError('Invalid Huffman code.');
+  }
+
+  function fixedTables() {
+    const lengths = new Uint8Array(320);
+    let i = 0;
+
+    while( i < 144 ) lengths[ i++ ] = 8;
+    while( i < 256 ) lengths[ i++ ] = 9;
+    while( i < 280 ) lengths[ i++ ] = 7;
+    while( i < 288 ) lengths[ i++ ] = 8;
+    while( i < 320 ) lengths[ i++ ] = 5;
+
+    return [ table(lengths, 0, 288), table(lengths, 288, 32) ];
+  }
+
+  function stored() {
+    let len;
+
+    bitBuf = bitCnt = 0;                                                // skip to byte boundary
+    if ( pos + 4 > data.length ) throw new APNG.DecodeError('Unexpected end of compressed data.');
+
+    len = data[ pos ] | data[ pos + 1 ] << 8;
+    if ( len !== (~(data[ pos + 2 ] | data[ pos + 3 ] << 8) & 0xffff) )
+      throw new APNG.DecodeError('Invalid stored block length.');
+
+    pos += 4;
+    if ( pos + len > data.length ) throw new APNG.DecodeError('Unexpected end of compressed data.');
+
+    ensure(len);
+    out.set(data.subarray(pos, pos + len), outPos);
+    outPos += len;
+    pos += len;
+  }
+
+  function dynamic() {
+    const hlit = bits(5) + 257;
+    const hdist = bits(5) + 1;
+    const hclen = bits(4) + 4;
+    const lengths = new Uint8Array(hlit + hdist);
+    const clLengths = new Uint8Array(19);
+    let i = 0, sym, prev, repeat, clTable;
+
+    for(; i < hclen; i++) clLengths[ CL_ORDER[ i ] ] = bits(3);
+    clTable = table(clLengths, 0, 19);
+
+    i = 0;
+    while( i < hlit + hdist ) {
+      sym = decodeSymbol(clTable);
+
+      if ( sym < 16 ) {
+        lengths[ i++ ] = sym;
+        continue;
+      }
+
+      if ( sym === 16 ) {
+        if ( !i ) throw new APNG.DecodeError('Invalid code length repeat.');
+        prev = lengths[ i - 1 ];
+        repeat = 3 + bits(2);
+      }
+      else {
+        prev = 0;
+        repeat = sym === 17 ? 3 + bits(3) : 11 + bits(7);
+      }
+
+      if ( i + repeat > hlit + hdist ) throw new APNG.DecodeError('Invalid code lengths.');
+      while( repeat-- ) lengths[ i++ ] = prev;
+    }
+
+    block(table(lengths, 0, hlit), table(lengths, hlit, hdist));
+  }
+
+  function block(lit, dist) {
+    let sym, len, d, i;
+
+    for(; ;) {
+      sym = decodeSymbol(lit);
+
+      if ( sym < 256 ) {
+        ensure(1);
+        out[ outPos++ ] = sym;
+      }
+      else if ( sym === 256 ) {
+        return;
+      }
+      else {
+        sym -= 257;
+        if ( sym >= 29 ) throw new APNG.DecodeError('Invalid length symbol.');
+        len = LEN_BASE[ sym ] + bits(LEN_EXTRA[ sym ]);
+
+        sym = decodeSymbol(dist);
+        if ( sym >= 30 ) throw new APNG.DecodeError('Invalid distance symbol.');
+        d = DIST_BASE[ sym ] + bits(DIST_EXTRA[ sym ]);
+        if ( d > outPos ) throw new APNG.DecodeError('Invalid distance.');
+
+        ensure(len);
+        for(i = 0; i < len; i++, outPos++) out[ outPos ] = out[ outPos - d ];
+      }
+    }
+  }
+};
+
+/**
+ * @name APNGDecoderHeader
+ * @prop {Number} bitDepth - bit depth of samples (1, 2, 4, 8 or 16)
+ * @prop {Number} colorType - PNG color type (0 = gray, 2 = RGB, 3 = indexed, 4 = gray + alpha, 6 = RGBA)
+ * @prop {Number} [interlace=0] - interlace method (0 = none, 1 = Adam7)
+ * @prop {Uint8Array} [palette] - PLTE chunk data (RGB triplets), required for color type 3
+ * @prop {Uint8Array} [transparency] - tRNS chunk data
+ */
@@ -0,0 +1,296 @@
+/*
+	APNG Editor
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Edits the structure of a parsed animation: delete, insert, duplicate,
+ * move and reverse frames, trim to a range, change frame region and
+ * operations, and set the loop count. The parser object is edited in
+ * place so `frames`, `frameInfo`, `duration` and `iterations` stay
+ * consistent, and the result can be played with {@link APNG.Helper}
+ * (create the helper after editing, or set its `mode` again) or exported
+ * as a new APNG file using {@link APNG.Builder} (include apng-builder.js).
+ *
+ * Frames are edited as stored in the file. In optimized files most
+ * frames only hold the part that changed from the previous frame, so
+ * changing the order would not render correctly. Call `flatten()` first
+ * to turn each frame into a complete frame.
+ *
+ * @example
+ * var editor = new APNG.Editor(apng);
+ * editor.flatten()
+ *       .trim(10, 20)
+ *       .reverse()
+ *       .toBlob().then(function(blob) {...});
+ *
+ * @param {APNG.Parser} apng - parser object to edit. Must be complete.
+ * @constructor
+ */
+APNG.Editor = function(apng) {
+
+  const me = this;
+
+  if ( apng.complete === false ) throw new Error('Parser is not complete.');
+
+  /**
+   * The parser object being edited.
+   * @type {APNG.Parser}
+   */
+  this.apng = apng;
+
+  /**
+   * Number of frames.
+   * @member {Number} APNG.Editor#length
+   */
+  Object.defineProperty(this, 'length', { get: function() {return apng.frames.length;} });
+
+  /**
+   * Number of iterations (loops), 0 means infinite.
+   * @member {Number} APNG.Editor#iterations
+   */
+  Object.defineProperty(this, 'iterations', {
+    get: function() {return apng.iterations;},
+    set: function(iterations) {
+      if ( !(iterations >= 0) ) throw new RangeError('Iterations must be 0 or more.');
+      apng.iterations = iterations | 0;
+    }
+  });
+
+  /**
+   * Replaces every frame with the complete frame as rendered, covering
+   * the entire animation with dispose op. none and blend op. source. The
+   * frames can then be edited in any order. Decoded (headless) frames are
+   * composited with {@link APNG.Compositor}, other frames are rendered
+   * to canvases with {@link APNG.Helper}. Frames of type blob or dataurl
+   * cannot be drawn and must be parsed with another `frameType` first.
+   * @returns {APNG.Editor}
+   */
+  this.flatten = function() {
+    const frames = apng.frames;
+    let complete;
+
+    if ( !frames.length ) return me;
+
+    if ( frames.some(function(frame) {return typeof frame === 'string' || (typeof Blob !== 'undefined' && frame instanceof Blob);}) )
+      throw new TypeError('Frames of type blob or dataurl cannot be flattened.');
+
+    if ( frames[ 0 ].data ) {
+      complete = APNG.Compositor.composite(apng);
+    }
+    else {
+      const helper = new APNG.Helper(APNG.Helper._createCanvas(apng.width, apng.height), apng);
+      complete = frames.map(function(frame, index) {
+        const canvas = APNG.Helper._createCanvas(apng.width, apng.height);
+        helper.currentFrame = index;
+        canvas.getContext('2d').drawImage(helper.canvas, 0, 0);
+        return canvas;
+      });
+      helper.destroy();
+    }
+
+    apng.frames = complete;
+    release(frames);
+    apng.frameInfo = apng.frameInfo.map(function(info) {
+      return Object.assign({}, info, { x: 0, y: 0, width: apng.width, height: apng.height, dispose: 0, blend: 0 });
+    });
+
+    return update();
+  };
+
+  /**
+   * Deletes one or more frames.
+   * @param {Number} index - index of first frame to delete
+   * @param {Number} [count=1] - number of frames to delete
+   * @returns {APNG.Editor}
+   */
+  this.deleteFrame = function(index, count) {
+    checkIndex(index);
+    release(apng.frames.splice(index, count === undefined ? 1 : count));
+    apng.frameInfo.splice(index, count === undefined ? 1 : count);
+    return update();
+  };
+
+  /**
+   * Inserts a new frame. The frame must be of the same kind as the other
+   * frames: drawable (Image, ImageBitmap, canvas) or, if headless, an
+   * ImageData compatible object. Its size is used as region size, so
+   * Blobs and other sources without a size are not accepted.
+   * @param {Number} index - index to insert the frame at. Use `length` to add the frame at the end.
+   * @param {*} frame - frame to insert
+   * @param {APNGEditorFrameOptions} [frameOptions] - delay, offset and operations for the frame
+   * @returns {APNG.Editor}
+   */
+  this.insertFrame = function(index, frame, frameOptions) {
+    const info = Object.assign({}, {
+      delay  : 100,
+      x      : 0,
+      y      : 0,
+      dispose: 0,
+      blend  : 0
+    }, frameOptions, {
+      width : frame.naturalWidth || frame.width,
+      height: frame.naturalHeight || frame.height
+    });
+
+    if ( !(index >= 0 && index <= apng.frames.length) ) throw new RangeError('Frame index ' + index + ' is out of range.');
+    if ( !(info.width > 0 && info.height > 0) ) throw new TypeError('Frame must have a width and height.');
+    checkInfo(info, index);
+
+    apng.frames.splice(index, 0, frame);
+    apng.frameInfo.splice(index, 0, info);
+    return update();
+  };
+
+  /**
+   * Duplicates a frame. The copy is inserted right after the frame.
+   * @param {Number} index - index of frame to duplicate
+   * @returns {APNG.Editor}
+   */
+  this.duplicateFrame = function(index) {
+    checkIndex(index);
+    apng.frames.splice(index + 1, 0, apng.frames[ index ]);
+    apng.frameInfo.splice(index + 1, 0, Object.assign({}, apng.frameInfo[ index ]));
+    return update();
+  };
+
+  /**
+   * Moves a frame to a new position.
+   * @param {Number} from - index of frame to move
+   * @param {Number} to - new index of the frame
+   * @returns {APNG.Editor}
+   */
+  this.moveFrame = function(from, to) {
+    checkIndex(from);
+    checkIndex(to);
+    apng.frames.splice(to, 0, apng.frames.splice(from, 1)[ 0 ]);
+    apng.frameInfo.splice(to, 0, apng.frameInfo.splice(from, 1)[ 0 ]);
+    return update();
+  };
+
+  /**
+   * Reverses the order of the frames.
+   * @returns {APNG.Editor}
+   */
+  this.reverse = function() {
+    apng.frames.reverse();
+    apng.frameInfo.reverse();
+    return update();
+  };
+
+  /**
+   * Keeps only the given range of frames.
+   * @param {Number} first - index of first frame to keep
+   * @param {Number} last - index of last frame to keep
+   * @returns {APNG.Editor}
+   */
+  this.trim = function(first, last) {
+    const frames = apng.frames;
+
+    checkIndex(first);
+    checkIndex(last);
+    if ( first > last ) throw new RangeError('First frame must be before last frame.');
+
+    apng.frames = frames.slice(first, last + 1);
+    release(frames);
+    apng.frameInfo = apng.frameInfo.slice(first, last + 1);
+    return update();
+  };
+
+  /**
+   * Changes the delay, offset and/or dispose and blend operations of a
+   * frame. Properties not given are left unchanged.
+   * @param {Number} index - frame index
+   * @param {APNGEditorFrameOptions} frameOptions - properties to change
+   * @returns {APNG.Editor}
+   */
+  this.setFrameInfo = function(index, frameOptions) {
+    const info = {};
+
+    checkIndex(index);
+
+    [ 'delay', 'x', 'y', 'dispose', 'blend' ].forEach(function(key) {
+      if ( frameOptions[ key ] !== undefined ) info[ key ] = frameOptions[ key ];
+    });
+
+    checkInfo(Object.assign({}, apng.frameInfo[ index ], info), index);
+    Object.assign(apng.frameInfo[ index ], info);
+    return update();
+  };
+
+  /**
+   * Builds a new APNG file from the frames using {@link APNG.Builder}.
+   * The first frame must cover the entire animation. A static PNG is
+   * exported as an animation with a single frame.
+   * @returns {Promise<ArrayBuffer>} resolves to the binary APNG file
+   */
+  this.build = function() {
+    return Promise.resolve().then(function() {return getBuilder().build();});
+  };
+
+  /**
+   * Builds a new APNG file from the frames as a Blob, see `build()`.
+   * @returns {Promise<Blob>} resolves to a Blob with mime-type "image/png"
+   */
+  this.toBlob = function() {
+    return Promise.resolve().then(function() {return getBuilder().toBlob();});
+  };
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // Keep parser state consistent with frames
+  function update() {
+    apng.frameStatus = apng.frames.map(function() {return 'ready';});
+    apng.framesReady = apng.frames.length;
+    apng.duration = apng.frameInfo.reduce(function(sum, info) {return sum + info.delay;}, 0);
+    return me;
+  }
+
+  // close ImageBitmap frames which are no longer part of the animation
+  function release(frames) {
+    frames.forEach(function(frame) {
+      if ( typeof ImageBitmap !== 'undefined' && frame instanceof ImageBitmap && apng.frames.indexOf(frame) < 0 ) frame.close();
+    });
+  }
+
+  // the single frame of a static PNG has a delay of -1, exported as 0
+  function getBuilder() {
+    const builder = new APNG.Builder(apng.width, apng.height, { iterations: apng.iterations });
+
+    apng.frames.forEach(function(frame, index) {
+      const info = apng.frameInfo[ index ];
+      builder.addFrame(frame, { delay: Math.max(0, info.delay), x: info.x, y: info.y, dispose: info.dispose, blend: info.blend });
+    });
+
+    return builder;
+  }
+
+  function checkIndex(index) {
+    if ( !(index >= 0 && index < apng.frames.length) ) throw new RangeError('Frame index ' + index + ' is out of range.');
+  }
+
+  function checkInfo(info, index) {
+    if ( !(info.delay >= 0) ) throw new RangeError('Delay must be 0 or more.');
+    if ( [ 0, 1, 2 ].indexOf(info.dispose) < 0 ) throw new RangeError('Dispose operation must be 0, 1 or 2.');
+    if ( [ 0, 1 ].indexOf(info.blend) < 0 ) throw new RangeError('Blend operation must be 0 or 1.');
+    if ( info.x < 0 || info.y < 0 || info.x + info.width > apng.width || info.y + info.height > apng.height )
+      throw new RangeError('Frame ' + index + ' is outside the animation area.');
+  }
+};
+
+/**
+ * @name APNGEditorFrameOptions
+ * @prop {Number} [delay=100] - delay for this frame in milliseconds
+ * @prop {Number} [x=0] - horizontal offset of frame region
+ * @prop {Number} [y=0] - vertical offset of frame region
+ * @prop {Number} [dispose=0] - dispose operation: 0 = none, 1 = background, 2 = previous
+ * @prop {Number} [blend=0] - blend operation: 0 = source, 1 = over
+ */
@@ -10,11 +10,31 @@
 /**
  * Helper object to animate parsed APNG files (APNGParser objects).
  *
- * The animation is "intelligent" so if a delay is close to 60 FPS (16-17ms)
- * it will use the optimized `requestAnimationFrame()`. The loop can also be
- * overridden via option to force use of this method for all frames.
+ * The animation is driven by a `requestAnimationFrame()` clock: the frame
+ * to show is picked from the elapsed time, so the animation stays in sync
+ * with wall time and frames are dropped if rendering falls behind (see the
+ * `dropFrames` option). Playback speed can be changed while playing using
+ * `playbackRate`.
  *
- * @param {HTMLCanvasElement} canvas - canvas to use. The correct size will be set internally.
+ * The helper can be created as soon as the parser's header is available
+ * (`onheader`) when parsing with the `streaming` option. Playback then
+ * starts with the frames that are ready and waits for the next frame if
+ * it has not arrived yet. Playback modes other than forward are applied
+ * once all frames are ready.
+ *
+ * Playback modes other than forward and hold play complete frames. These
+ * are rendered from the original frames when the mode is set, so they
+ * show correctly for any file regardless of region and dispose/blend
+ * operations, at the cost of one full-size canvas per frame. They are
+ * rendered again if the frames have changed since, for example after
+ * editing with {@link APNG.Editor}: set `mode` again to play the edited
+ * frames.
+ *
+ * Frames must be drawable: Image or ImageBitmap objects (see the parser's
+ * `frameType` option) or canvases. The target can be an OffscreenCanvas,
+ * for example to render in a worker.
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - canvas to use. The correct size will be set internally.
  * @param {APNG.Parser} apng - APNGParser object to animate
  * @param {APNGHelperOptions} [options] - options for animation
  * @constructor
@@ -22,35 +42,45 @@
 APNG.Helper = function(canvas, apng, options) {
 
   options = Object.assign({}, {
-    iterations                : -1,
-    ignoreIterations          : true,
-    forceRequestAnimationFrame: false,
-    mode                      : 'forward',
-    debug                     : false,
-    debugColorRegion          : '#f0f',
-    debugColorText            : '#fff',
-    debugTextPosition         : { x: 5, y: 12 },
-    debugTextFont             : null
+    iterations       : -1,
+    ignoreIterations : true,
+    playbackRate     : 1,
+    dropFrames       : true,
+    mode             : 'forward',
+    range            : null,
+    order            : null,
+    keyframeInterval : 10,
+    debug            : false,
+    debugColorRegion : '#f0f',
+    debugColorText   : '#fff',
+    debugTextPosition: { x: 5, y: 12 },
+    debugTextFont    : null
   }, options);
 
   const me = this;
-  const temp = document.createElement('canvas');
+  const temp = APNG.Helper._createCanvas(apng.width, apng.height);
   const ctxt = temp.getContext('2d');
   let ctx = canvas.getContext('2d');
-  let startTime = -1;
-  let currentTime = 0;
+  let position = 0;                                                     // time in current iteration (ms)
+  let lastTick = 0;
   let frames;
   let frameInfo;
   let cFrame = 0;
   let loops = 0;
   let iterations;
-  let clrBg = false;
+  let disposeInfo = null;
   let commit = true;
+  let known = 0;                                                        // number of ready frames known to the helper
+  let loading = false;                                                  // true if parser is still producing frames
+  let keyframes = [];                                                   // cached canvas content for seeking, per frame index
+  let composited = null;                                                // complete frames for modes that play out of sequence
+  let compositedFrom = null;                                            // frames and frame info the complete frames were rendered from
+  let sequenced = false;                                                // true if frames are complete frames in mode order
   let timeRef;
 
   /**
    * The 2D context used for the canvas internally.
-   * @type {CanvasRenderingContext2D}
+   * @type {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D}
    */
   this.context = ctx;
 
@@ -60,6 +90,14 @@ APNG.Helper = function(canvas, apng, options) {
    */
   this.playing = false;
 
+  /**
+   * Playback speed, 1 = normal speed, 0.5 = half speed, 2 = double speed.
+   * Negative values plays the animation backwards in time. Can be changed
+   * while playing.
+   * @type {number}
+   */
+  this.playbackRate = options.playbackRate;
+
   /**
    * Optional callback for when an animation starts to play.
    * @type {Function|Null}
@@ -110,28 +148,105 @@ APNG.Helper = function(canvas, apng, options) {
   this.oniteration = null;
 
   /**
-   * Set or get current playback mode.
+   * Optional callback for when the current time has changed, that is,
+   * on each update of the playback clock while playing, after seeking and
+   * when the animation is stopped.
+   * @type {Function|Null}
+   * @fires APNG.Helper#HelperEvent
+   */
+  this.ontimeupdate = null;
+
+  /**
+   * Optional callback for when a seek has completed (setting `currentTime`
+   * or `currentFrame`), after the frame has been rendered.
+   * @type {Function|Null}
+   * @fires APNG.Helper#HelperEvent
+   */
+  this.onseeked = null;
+
+  /**
+   * Set or get current playback mode:
+   *
+   * - `"forward"` - play frames in order (default)
+   * - `"backward"` - play frames in reverse order
+   * - `"pingpong"` - play frames forward, then backward
+   * - `"range"` - loop the frames given by `range`
+   * - `"custom"` - play the frames in the order given by `order`
+   * - `"hold"` - play frames in order once and hold the last frame
+   *
+   * In modes other than forward and hold, `currentFrame` is the position
+   * in the played sequence rather than the index of the original frame.
+   *
    * @member {String} APNGHelper#mode
    */
   defProp('mode',
     function() {return options.mode;},
     function(mode) {
+      const wasSequenced = sequenced;
+      const shown = cFrame;
+      let sequence;
+
+      loading = apng.complete === false;
+      known = available();
+      frames = apng.frames.slice(0, known);
+      frameInfo = apng.frameInfo.slice(0, known);
+
+      // frames that are still loading (streaming) are played forward until the parser is complete
+      sequence = loading ? null : getSequence(mode, known);
+      sequenced = !!sequence;
+
+      if ( sequence ) {
+        if ( !composited || framesChanged() ) {
+          releaseComposited();
+          composited = composite();
+          compositedFrom = { frames: frames, info: frameInfo.map(function(info) {return Object.assign({}, info);}) };
+        }
+        frames = sequence.map(function(index) {return composited[ index ];});
+        frameInfo = sequence.map(function(index) {                       // inherits delay so re-timing applies
+          return Object.assign(Object.create(apng.frameInfo[ index ]), {
+            x: 0, y: 0, width: apng.width, height: apng.height, dispose: 0, blend: 0
+          });
+        });
+      }
 
-      frames = apng.frames.concat();
-      frameInfo = apng.frameInfo.concat();
+      options.mode = mode;
+      clearKeyframes();
 
-      if ( mode === 'backward' ) {
-        frames.reverse();
-        frameInfo.reverse();
-      }
-      else if ( mode === 'pingpong' ) {
-        frames = frames.concat(frames.concat().reverse());
-        frameInfo = frameInfo.concat(frameInfo.concat().reverse());
+      // frames changed, show the frame at current time from the new frames
+      if ( sequenced || wasSequenced ) {
+        reset();
+        if ( shown && frames.length ) seek(frameAt(position));
       }
+      else if ( cFrame > frames.length ) cFrame = 0;                      // Make sure we are within the new length
+    }
+  );
 
-      // Make sure we are within the new length
-      if ( cFrame >= frames.length ) cFrame = 0;
-      options.mode = mode;
+  /**
+   * Set or get the frames to loop in `"range"` mode as an array with the
+   * first and last frame index, for example `[10, 20]`. If the first index
+   * is larger than the last the range is played backwards. Null plays all
+   * frames.
+   * @member {Array<Number>|Null} APNGHelper#range
+   */
+  defProp('range',
+    function() {return options.range;},
+    function(range) {
+      options.range = range;
+      if ( options.mode === 'range' ) me.mode = options.mode;
+    }
+  );
+
+  /**
+   * Set or get the frame order in `"custom"` mode as an array of frame
+   * indices, for example `[0, 1, 2, 1, 0, 3]`. A frame can be used any
+   * number of times. Invalid indices are ignored.
+   * @member {Array<Number>|Null} APNGHelper#order
+   */
+  defProp('order',
+    function() {return options.order;},
+    function(order) {
+      options.order = order;
+      if ( options.mode === 'custom' ) me.mode = options.mode;
     }
   );
 
@@ -142,7 +257,9 @@ APNG.Helper = function(canvas, apng, options) {
    *
    * Renders the sequence based on region, dispose and blending for each
    * frame until requested frame is reached. This will produce a correct
-   * looking complete frame.
+   * looking complete frame. Rendering starts from the closest preceding
+   * frame that does not depend on earlier frames, or from the closest
+   * cached keyframe (see the `keyframeInterval` option).
    *
    * If you only want the raw frame use the APNGParser object directly
    * with the property `frame[frameIndex]` instead.
@@ -152,60 +269,72 @@ APNG.Helper = function(canvas, apng, options) {
    * @member {Number} APNG.Helper#currentFrame
    */
   defProp('currentFrame',
-    function() {return cFrame;},
+    function() {return Math.max(0, cFrame - 1);},
     function(frame) {
-      let i = 0;
-
       if ( frame < 0 ) frame = 0;
       else if ( frame >= frames.length ) frame = frames.length - 1;
 
-      ctx.canvas.width = canvas.width;
-      cFrame = 0;
-
-      while( i++ <= frame ) {
-        render();
-        cFrame++;
-      }
+      seek(frame);
+      position = frameStart(frame);
 
       if ( me.onframe ) me.onframe(getEvent());
+      seeked();
     }
   );
 
   /**
-   * Sets or gets the current time in milliseconds.
-   * If playing the time is accurate, if paused or stopped the current
-   * time represents the closest frame.
+   * Sets or gets the current time in milliseconds within the current
+   * iteration, as given by the playback clock.
    *
-   * Setting time will set the frame which the time falls within.
+   * Setting time will show the frame which the time falls within. Times
+   * outside the iteration wrap around, for example `duration + 100` is
+   * 100. Frames are rendered from the current frame if the time is ahead,
+   * so setting the time repeatedly can be used to drive the animation
+   * from an external clock (see {@link APNG.Timeline}).
    *
    * @member {Number} APNG.Helper#currentTime
    */
   defProp('currentTime',
-    function() {return me.playing ? performance.now() - startTime : currentTime - startTime;},
+    function() {return position;},
     function(time) {
-      let i = 0;
-      let delta = 0;
-
-      while( i < frameInfo.length ) {
-        delta += frameInfo[ i ].delay;
-        if ( delta >= time ) {
-          me.currentFrame = i;
-          if ( me.onframe ) me.onframe(getEvent());
-          return;
-        }
-        i++;
-      }
+      setTime(time);
+      seeked();
     }
   );
 
   /**
-   * Get the duration of the entire animation in milliseconds.
-   * The duration considers playback mode. This is a convenience property
-   * which wraps the APNG Parser object's duration property.
+   * Sets the current time as `currentTime` does, but as part of playback
+   * rather than as a seek: only `ontimeupdate` is called. Used by
+   * {@link APNG.Timeline} to drive the helper from its clock.
+   * @param {Number} time - time in milliseconds
+   * @private
+   */
+  this._setTime = function(time) {
+    setTime(time);
+    if ( me.ontimeupdate ) me.ontimeupdate(getEvent());
+  };
+
+  /**
+   * Get the duration of a single iteration in milliseconds in the
+   * current playback mode, for example a ping-pong iteration plays most
+   * frames twice. While frames are still loading (streaming) this is the
+   * duration of the frames known so far.
    *
    * @member {Number} APNG.Helper#duration
    */
-  defProp('duration', function() {return apng.duration;});
+  defProp('duration', function() {return loading ? apng.duration : frameStart(frames.length);});
+
+  /**
+   * Get the total duration in milliseconds of all iterations, as played
+   * considering the `iterations` and `ignoreIterations` options. Infinity
+   * if the animation loops indefinitely.
+   *
+   * @member {Number} APNG.Helper#totalDuration
+   */
+  defProp('totalDuration', function() {
+    if ( options.mode === 'hold' ) return me.duration;
+    return options.ignoreIterations ? Infinity : me.duration * Math.max(1, iterations);
+  });
 
   /**
    * This property can be set to false when for example the canvas is not
@@ -220,7 +349,7 @@ APNG.Helper = function(canvas, apng, options) {
     function(state) {
       const prevState = commit;
       commit = !!state;
-      if ( !prevState && commit ) me.currentFrame = cFrame;
+      if ( !prevState && commit ) me.currentFrame = me.currentFrame;
     }
   );
 
@@ -230,7 +359,10 @@ APNG.Helper = function(canvas, apng, options) {
    */
   defProp('debug',
     function() {return options.debug;},
-    function(state) {options.debug = !!state;}
+    function(state) {
+      options.debug = !!state;
+      clearKeyframes();                                                 // keyframes may hold debug info
+    }
   );
 
   /**
@@ -273,7 +405,7 @@ APNG.Helper = function(canvas, apng, options) {
   /**
    * Set a new canvas as target for frame rendering. The canvas will be
    * reset and resized to match the APNG.
-   * @member {boolean} APNG.Helper#canvas
+   * @member {HTMLCanvasElement|OffscreenCanvas} APNG.Helper#canvas
    */
   defProp('canvas',
     function() {return canvas;},
@@ -301,18 +433,21 @@ APNG.Helper = function(canvas, apng, options) {
   };
 
   /**
-   * Stop animation and go to frame 0.
+   * Stop animation and go to frame 0. Also resets the iteration count
+   * if the animation is paused or has ended.
    */
   this.stop = function() {
-    if ( !me.playing ) return;
-
     me.pause();
-    cFrame = 0;
-    startTime = -1;
-    render();
+    reset();
+    position = 0;
+    loops = 0;
+    if ( frames.length ) seek(0);
 
     if ( me.onstop )
       me.onstop(getEvent());
+
+    if ( me.ontimeupdate )
+      me.ontimeupdate(getEvent());
   };
 
   /**
@@ -322,14 +457,31 @@ APNG.Helper = function(canvas, apng, options) {
     if ( !me.playing ) return;
 
     me.playing = false;
-
-    clearTimeout(timeRef);
     cancelAnimationFrame(timeRef);
 
     if ( me.onpause )
       me.onpause(getEvent());
   };
 
+  /**
+   * Stops the animation and releases resources: timers are cancelled,
+   * the internal canvas is released and references to the parser, frames
+   * and callbacks are dropped. The canvas is left as-is. The helper
+   * cannot be used after this call. To release the frames as well call
+   * `destroy()` on the parser.
+   */
+  this.destroy = function() {
+    me.playing = false;
+    cancelAnimationFrame(timeRef);
+
+    temp.width = temp.height = 0;
+    clearKeyframes();
+    releaseComposited();
+    me.onplay = me.onstop = me.onpause = me.onended = me.onframe = me.oniteration = me.ontimeupdate = me.onseeked = null;
+    me.context = ctx = null;
+    apng = frames = frameInfo = disposeInfo = null;
+  };
+
   /*-----------------------------------------------------------------------------------------------------------------*\
 
       INTERNALS
@@ -337,70 +489,209 @@ APNG.Helper = function(canvas, apng, options) {
   \*-----------------------------------------------------------------------------------------------------------------*/
 
   function play() {
-    const perf = performance.now.bind(performance);
-
     me.playing = true;
+    lastTick = performance.now();
 
-    // render frame, invoke advance
-    function loop() {
-      const info = frameInfo[ cFrame ];
-      if ( commit ) {
-        render();
-        if ( me.onframe ) me.onframe(getEvent());
-      }
-
-      timeRef = (info.delay >= 16 && info.delay <= 17) || options.forceRequestAnimationFrame ?
-                requestAnimationFrame(advance) : setTimeout(advance, info.delay);
+    // start over if all iterations have been played
+    if ( ended() ) {
+      loops = position = 0;
+      reset();
     }
 
-    // loop progress
-    function advance() {
-      if ( ++cFrame >= frames.length ) {
-        cFrame = 0;
-        startTime = perf();
+    if ( frames.length && !cFrame ) show(frameAt(position));            // nothing shown yet
+    timeRef = requestAnimationFrame(tick);
+
+    if ( me.onplay )
+      me.onplay(getEvent());
+  }
+
+  // Playback clock: advance time and show the frame the time falls within
+  function tick(time) {
+    const rate = me.playbackRate;
+    let total;
+
+    position += (time - lastTick) * rate;
+    lastTick = time;
+    timeRef = requestAnimationFrame(tick);
+
+    if ( loading ) update();
+    if ( !frames.length ) return;                                       // no frames ready yet (streaming)
+    total = frameStart(frames.length);
+
+    // show every frame: if behind, hold the clock at the start of the next frame (or end of previous if backwards)
+    if ( !options.dropFrames && rate > 0 ) position = Math.min(position, frameStart(cFrame));
+    else if ( !options.dropFrames && rate < 0 ) position = Math.max(position, frameStart(cFrame - 1) - 0.001);
+
+    if ( loading ) {
+      position = Math.min(position, total - 0.001);                     // wait for next frame (streaming)
+    }
+    else if ( total <= 0 ) {
+      return end(frames.length - 1);                                    // nothing to animate
+    }
+    else {
+      // new iteration
+      while( position >= total || position < 0 ) {
+        position += position < 0 ? total : -total;
         loops++;
+        reset();
         if ( me.oniteration ) me.oniteration(getEvent());
-        if ( loops >= iterations && !options.ignoreIterations ) {
-          me.playing = false;
-          if ( me.onended ) me.onended(getEvent());
-        }
+        if ( ended() ) return end(rate < 0 ? 0 : frames.length - 1);
       }
+    }
 
-      // render next frame
-      currentTime = perf();
-      if ( me.playing ) loop();
+    show(frameAt(position));
+    if ( me.ontimeupdate ) me.ontimeupdate(getEvent());
+  }
+
+  // Show frame while playing. Frames in between are rendered but not shown as they affect the result
+  function show(frame) {
+    if ( frame === cFrame - 1 ) return;
+
+    if ( !commit ) {
+      cFrame = frame + 1;                                               // rendered when commit is set again
+      return;
     }
 
-    startTime = perf();
-    loop();
+    if ( frame < cFrame || (options.keyframeInterval > 0 && frame - cFrame > options.keyframeInterval) ) seek(frame);
+    else while( cFrame <= frame ) {
+      render();
+      cFrame++;
+    }
 
-    if ( me.onplay )
-      me.onplay(getEvent());
+    if ( me.onframe ) me.onframe(getEvent());
+  }
+
+  // last iteration played, stop at first or last frame depending on direction
+  function end(frame) {
+    cancelAnimationFrame(timeRef);
+    me.playing = false;
+    position = frameStart(frame);
+    show(frame);
+    if ( me.ontimeupdate ) me.ontimeupdate(getEvent());
+    if ( me.onended ) me.onended(getEvent());
+  }
+
+  // set time within iteration and show the frame it falls within
+  function setTime(time) {
+    const duration = me.duration;
+
+    position = duration > 0 ? ((time % duration) + duration) % duration : 0;
+    if ( frames.length ) show(frameAt(position));
+  }
+
+  // seek has completed
+  function seeked() {
+    if ( me.onseeked ) me.onseeked(getEvent());
+    if ( me.ontimeupdate ) me.ontimeupdate(getEvent());
+  }
+
+  // true if all iterations have been played, hold mode plays a single iteration
+  function ended() {
+    return options.mode === 'hold' ? loops > 0 : loops >= iterations && !options.ignoreIterations;
+  }
+
+  // index of frame the time falls within
+  function frameAt(time) {
+    let i = 0;
+    let t = 0;
+
+    while( i < frameInfo.length - 1 && (t += Math.max(0, frameInfo[ i ].delay)) <= time ) i++;
+    return i;
+  }
+
+  // start time of frame
+  function frameStart(index) {
+    let t = 0;
+    for(let i = 0; i < index; i++) t += Math.max(0, frameInfo[ i ].delay);
+    return t;
+  }
+
+  /**
+   * Renders frames up to and including the given frame, starting from the
+   * closest cached keyframe or independent frame. Keyframes are cached
+   * while rendering.
+   * @param {Number} frame - frame index
+   * @private
+   */
+  function seek(frame) {
+    const interval = options.keyframeInterval;
+    let start = frame;
+
+    while( start > 0 && !keyframes[ start ] && !isIndependent(start) ) start--;
+
+    reset();
+    if ( keyframes[ start ] ) ctx.drawImage(keyframes[ start ], 0, 0);
+    cFrame = start;
+
+    while( cFrame <= frame ) {
+      render(interval > 0 && !(cFrame % interval) && !keyframes[ cFrame ] && !isIndependent(cFrame));
+      cFrame++;
+    }
+  }
+
+  /**
+   * A frame is independent if what is rendered before it does not affect
+   * this or later frames: it replaces the entire canvas (and does not
+   * restore it afterwards using dispose op. previous), or the previous
+   * frame's dispose op. clears the entire canvas.
+   * @param {Number} index - frame index
+   * @returns {boolean}
+   * @private
+   */
+  function isIndependent(index) {
+    const info = frameInfo[ index ];
+    const prev = frameInfo[ index - 1 ];
+
+    return !index || (info.blend === 0 && info.dispose !== 2 && covers(info)) || (prev.dispose === 1 && covers(prev));
+  }
+
+  function covers(info) {
+    return !info.x && !info.y && info.width >= canvas.width && info.height >= canvas.height;
+  }
+
+  function clearKeyframes() {
+    keyframes.forEach(function(keyframe) {
+      keyframe.width = keyframe.height = 0;                             // release bitmap memory
+    });
+    keyframes = [];
   }
 
   /**
    * Renders the current frame considering region, dispose and blend.
+   *
+   * As per the APNG specification the dispose operation of a frame is
+   * applied *after* the frame has been shown, that is, before the next
+   * frame is rendered. Dispose op. 2 (previous) restores the region to
+   * what it was before the frame was rendered.
+   *
+   * @param {boolean} [keyframe=false] - cache canvas for seeking, before the frame is rendered
    * @private
    */
-  function render() {
+  function render(keyframe) {
 
     const frame = frames[ cFrame ];
     const info = frameInfo[ cFrame ];
 
-    // was previous frame using dispose method 2?
-    if ( clrBg ) {
-      ctx.drawImage(temp, 0, 0);
-      clrBg = false;
+    // apply dispose op. of previous frame
+    if ( disposeInfo ) {
+      if ( disposeInfo.dispose === 1 || disposeInfo.dispose === 2 )
+        ctx.clearRect(disposeInfo.x | 0, disposeInfo.y | 0, disposeInfo.width | 0, disposeInfo.height | 0);
+
+      if ( disposeInfo.dispose === 2 )
+        ctx.drawImage(temp, disposeInfo.x | 0, disposeInfo.y | 0, disposeInfo.width | 0, disposeInfo.height | 0,
+          disposeInfo.x | 0, disposeInfo.y | 0, disposeInfo.width | 0, disposeInfo.height | 0);
     }
 
-    // check dispose function
-    if ( info.dispose === 1 ) {
-      ctx.clearRect(info.x | 0, info.y | 0, info.width | 0, info.height | 0);
+    // the canvas now holds everything frames before this one leave behind
+    if ( keyframe ) {
+      keyframes[ cFrame ] = APNG.Helper._createCanvas(canvas.width, canvas.height);
+      keyframes[ cFrame ].getContext('2d').drawImage(canvas, 0, 0);
     }
-    else if ( info.dispose === 2 ) {
+
+    // keep a copy of region before rendering if it should be restored afterwards
+    if ( info.dispose === 2 ) {
       ctxt.clearRect(0, 0, temp.width | 0, temp.height | 0);
       ctxt.drawImage(canvas, info.x | 0, info.y | 0, info.width | 0, info.height | 0, info.x | 0, info.y | 0, info.width | 0, info.height | 0);
-      clrBg = true;
     }
 
     // check blend op.
@@ -409,6 +700,7 @@ APNG.Helper = function(canvas, apng, options) {
 
     // render frame
     ctx.drawImage(frame, info.x | 0, info.y | 0);
+    disposeInfo = info;
 
     // debug info?
     if ( options.debug ) {
@@ -417,6 +709,107 @@ APNG.Helper = function(canvas, apng, options) {
     }
   }
 
+  /**
+   * Clears the canvas and goes to frame 0. The output buffer must be
+   * fully transparent at the beginning of each iteration.
+   * @private
+   */
+  function reset() {
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    disposeInfo = null;
+    cFrame = 0;
+  }
+
+  /**
+   * Frame indices to play for the given mode, or null if the original
+   * frames are played in order.
+   * @param {String} mode - playback mode
+   * @param {Number} count - number of frames
+   * @returns {Array<Number>|Null}
+   * @private
+   */
+  function getSequence(mode, count) {
+    const sequence = [];
+    let first, last, i;
+
+    if ( !count ) return null;
+
+    if ( mode === 'backward' ) {
+      for(i = count - 1; i >= 0; i--) sequence.push(i);
+    }
+    else if ( mode === 'pingpong' ) {
+      for(i = 0; i < count; i++) sequence.push(i);
+      for(i = count - 2; i > 0; i--) sequence.push(i);                  // don't repeat the end frames
+    }
+    else if ( mode === 'range' ) {
+      first = clamp(options.range ? options.range[ 0 ] : 0);
+      last = clamp(options.range ? options.range[ 1 ] : count - 1);
+      for(i = first; i !== last; i += first < last ? 1 : -1) sequence.push(i);
+      sequence.push(last);
+    }
+    else if ( mode === 'custom' ) {
+      (options.order || []).forEach(function(index) {
+        if ( index >= 0 && index < count ) sequence.push(index | 0);
+      });
+    }
+
+    return sequence.length ? sequence : null;
+
+    function clamp(index) {
+      return Math.max(0, Math.min(count - 1, index | 0));
+    }
+  }
+
+  /**
+   * Renders all original frames in order and keeps a copy of each
+   * complete frame. The canvas is reset afterwards.
+   * @returns {Array<HTMLCanvasElement|OffscreenCanvas>}
+   * @private
+   */
+  function composite() {
+    const debug = options.debug;
+    const list = [];
+
+    options.debug = false;                                              // debug info is drawn when played
+    reset();
+
+    for(cFrame = 0; cFrame < frames.length; cFrame++) {
+      render();
+      list.push(APNG.Helper._createCanvas(canvas.width, canvas.height));
+      list[ cFrame ].getContext('2d').drawImage(canvas, 0, 0);
+    }
+
+    options.debug = debug;
+    reset();
+
+    return list;
+  }
+
+  // true if frames, their region or operations have changed since the complete frames were rendered
+  function framesChanged() {
+    return frames.length !== compositedFrom.frames.length || frames.some(function(frame, index) {
+      const info = frameInfo[ index ], from = compositedFrom.info[ index ];
+      return frame !== compositedFrom.frames[ index ] || [ 'x', 'y', 'width', 'height', 'dispose', 'blend' ].some(function(key) {
+        return info[ key ] !== from[ key ];
+      });
+    });
+  }
+
+  function releaseComposited() {
+    if ( composited ) composited.forEach(function(frame) {frame.width = frame.height = 0;});
+    composited = compositedFrom = null;
+  }
+
+  // number of frames, from the first, that can be rendered
+  function available() {
+    return apng.complete === false ? apng.framesReady : apng.frames.length;
+  }
+
+  // pick up frames that became ready while playing
+  function update() {
+    if ( known !== available() || apng.complete ) me.mode = options.mode;
+  }
+
   function getEvent() {
     return { timeStamp: Date.now(), context: ctx, target: me };
   }
@@ -466,18 +859,21 @@ APNG.Helper = function(canvas, apng, options) {
  * @param {Function} [options.drawCallback] - a callback that is called for each cell so you can overlay graphics.
  * @param {Number} [options.maxWidth=8000] - max width of canvas - note that some browser limits the size of the canvas element.
  *   if not wide enough the height is adjusted to generate rows instead.
- * @returns {HTMLCanvasElement}
+ * @param {HTMLCanvasElement|OffscreenCanvas} [options.canvas] - canvas to render the sprite-sheet to. It will be resized.
+ *   If not given a new canvas is created (an OffscreenCanvas if there is no document, i.e. in workers).
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
  * @static
  */
 APNG.Helper.toSpritesheet = function(apng, options) {
 
   options = Object.assign({}, {
     maxWidth    : 6000,
-    drawCallback: null
+    drawCallback: null,
+    canvas      : null
   }, options);
 
-  const c1 = document.createElement('canvas');                         // internal canvas for helper
-  const c2 = document.createElement('canvas');                         // final canvas sprite-sheet
+  const c1 = APNG.Helper._createCanvas(apng.width, apng.height);       // internal canvas for helper
+  const c2 = options.canvas || APNG.Helper._createCanvas(1, 1);        // final canvas sprite-sheet
   const ctx = c2.getContext('2d');
   const anim = new APNG.Helper(c1, apng);                                       // temporary instance
   let cnt;
@@ -506,32 +902,49 @@ APNG.Helper.toSpritesheet = function(apng, options) {
     }
   }
 
+  anim.destroy();
+
   return ctx.canvas;
 };
 
 /**
  * Utility method that can re-time the animation.
+ *
+ * The timing utilities change the delays in the parser's `frameInfo`
+ * and update `duration`. Helpers playing the parser use the new delays
+ * right away. An optional range limits the change to some of the frames.
+ * New delays are whole milliseconds (except for `snapDelays()`), rounded
+ * so the total duration is kept. Times that are negative or not finite,
+ * and reversed ranges, throw a RangeError.
+ *
  * @param {APNG.Parser} apng - a parser object to re-time
  * @param {Number} timeScale - a normalized scale value (1 = 100%, 0.5 = 50%, 2 = 200% etc.)
+ * @param {Array<Number>} [range] - first and last frame index to re-time, default all frames
  * @static
  */
-APNG.Helper.retime = function(apng, timeScale) {
-  this._cd(function(info) {info.delay *= timeScale;});
+APNG.Helper.retime = function(apng, timeScale, range) {
+  this._checkTime(timeScale, 'Time scale');
+  this._distribute(apng, range, function(info) {return info.delay * timeScale;});
 };
 
 /**
  * Utility method to scale the total duration. Time is given in milliseconds.
  * Each frame in the animation is scaled with the same scale factor internally.
- *
- * Note: the duration must be considered an approximation of duration.
+ * If the frames have no duration the duration is divided equally.
  *
  * @param {APNG.Parser} apng - a parser object to re-time
- * @param {Number} duration - new duration in milliseconds
+ * @param {Number} duration - new duration in milliseconds (of the range if given)
+ * @param {Array<Number>} [range] - first and last frame index to re-time, default all frames
  * @static
  */
-APNG.Helper.setDuration = function(apng, duration) {
-  const timeScale = duration / apng.duration;
-  this._cd(function(info) {info.delay *= timeScale;});
+APNG.Helper.setDuration = function(apng, duration, range) {
+  this._checkTime(duration, 'Duration');
+
+  const r = this._range(apng, range);
+  const current = this._rangeDuration(apng, r);
+  const count = r[ 1 ] - r[ 0 ] + 1;
+
+  this._distribute(apng, r, function(info) {return current ? info.delay * duration / current : duration / count;});
 };
 
 /**
@@ -540,30 +953,188 @@ APNG.Helper.setDuration = function(apng, duration) {
  *
  * @param {APNG.Parser} apng - a parser object to re-time
  * @param {Number} delay - new frame delay in milliseconds
+ * @param {Array<Number>} [range] - first and last frame index to set, default all frames
+ * @static
+ */
+APNG.Helper.setDelay = function(apng, delay, range) {
+  this._checkTime(delay, 'Delay');
+  this._distribute(apng, range, function() {return delay;});
+};
+
+/**
+ * Utility method to set the delay of a single frame.
+ *
+ * @param {APNG.Parser} apng - a parser object to re-time
+ * @param {Number} index - frame index
+ * @param {Number} delay - new frame delay in milliseconds
+ * @static
+ */
+APNG.Helper.setFrameDelay = function(apng, index, delay) {
+  if ( !(index >= 0 && index < apng.frameInfo.length) ) throw new RangeError('Frame index ' + index + ' is out of range.');
+  this.setDelay(apng, delay, [ index, index ]);
+};
+
+/**
+ * Utility method to redistribute the delays along an easing curve while
+ * keeping the duration, for example to make an animation start slowly
+ * and speed up ("easeIn"). Frames are shown at the times the curve
+ * reaches their position in the sequence.
+ *
+ * @param {APNG.Parser} apng - a parser object to re-time
+ * @param {String|Function} easing - "linear", "easeIn", "easeOut", "easeInOut" or a function that maps normalized
+ *   time (0-1) to progress (0-1). The function must increase from 0 to 1.
+ * @param {Array<Number>} [range] - first and last frame index to re-time, default all frames
+ * @static
+ */
+APNG.Helper.easeDelays = function(apng, easing, range) {
+  const r = this._range(apng, range);
+  const duration = this._rangeDuration(apng, r);
+  const count = r[ 1 ] - r[ 0 ] + 1;
+  const fn = typeof easing === 'function' ? easing : APNG.Helper.easings[ easing ];
+
+  if ( !fn ) throw new TypeError('Unknown easing "' + easing + '".');
+
+  this._distribute(apng, r, function(info, index) {
+    const step = index - r[ 0 ];
+    return duration * (timeAt((step + 1) / count) - timeAt(step / count));
+  });
+
+  // time when the curve reaches progress (binary search, the curve increases)
+  function timeAt(progress) {
+    let lo = 0, hi = 1;
+    for(let i = 0; i < 32; i++) {
+      const t = (lo + hi) * 0.5;
+      if ( fn(t) < progress ) lo = t;
+      else hi = t;
+    }
+    return (lo + hi) * 0.5;
+  }
+};
+
+/**
+ * Utility method to snap the frame times to a grid, for example to a
+ * target frame rate (`1000 / fps`) or to 1/100 s (10) as used by many
+ * encoders. The start time of each frame is snapped so timing errors do
+ * not add up. Frames shorter than the grid may get a delay of 0.
+ *
+ * @param {APNG.Parser} apng - a parser object to re-time
+ * @param {Number} step - grid size in milliseconds
+ * @param {Array<Number>} [range] - first and last frame index to snap, default all frames
  * @static
  */
-APNG.Helper.setDelay = function(apng, delay) {
-  this._cd(function(info) {info.delay = delay;});
+APNG.Helper.snapDelays = function(apng, step, range) {
+  if ( !(step > 0) ) throw new RangeError('Step must be larger than 0.');
+  this._distribute(apng, range, function(info) {return info.delay;}, step);
 };
 
 /**
- * Common function handler to update duration properly.
- * @param {Function} fn - calculation function with internal references. The function is given an frameInfo object
+ * Easing curves for `easeDelays()`. Each maps normalized time to progress.
+ * @type {Object}
+ * @static
+ */
+APNG.Helper.easings = {
+  linear   : function(t) {return t;},
+  easeIn   : function(t) {return t * t;},
+  easeOut  : function(t) {return t * (2 - t);},
+  easeInOut: function(t) {return t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t);}
+};
+
+/**
+ * Creates a canvas, or an OffscreenCanvas if there is no document (workers).
+ * @param {Number} width - width of canvas
+ * @param {Number} height - height of canvas
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ * @private
+ */
+APNG.Helper._createCanvas = function(width, height) {
+  let canvas;
+
+  if ( typeof document === 'undefined' ) return new OffscreenCanvas(width, height);
+
+  canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+/**
+ * Common function handler to update delays and duration properly. The
+ * new delays are accumulated and rounded to the step so the total
+ * duration is kept.
+ * @param {APNG.Parser} apng - parser object to update
+ * @param {Array<Number>} [range] - first and last frame index, default all frames
+ * @param {Function} fn - calculation function, given frameInfo object and index, returns new delay
+ * @param {Number} [step=1] - round delays to this step in milliseconds
  * @private
  */
-APNG.Helper._cd = function(fn) {
+APNG.Helper._distribute = function(apng, range, fn, step) {
   const fi = apng.frameInfo;
-  fi.forEach(fn);
+  const r = this._range(apng, range);
+  let time = 0;
+  let rounded = 0;
+
+  step = step || 1;
+  if ( !fi.length ) return;
+
+  for(let i = r[ 0 ]; i <= r[ 1 ]; i++) {
+    const value = fn(fi[ i ], i);
+    time += value > 0 ? value : 0;                                      // also ignores NaN from custom easing functions
+    fi[ i ].delay = Math.round(time / step) * step - rounded;
+    rounded += fi[ i ].delay;
+  }
+
   apng.duration = fi.reduce(function(prev, curr) {return prev + curr.delay;}, 0);
 };
 
+/**
+ * Resolves a frame range, clamped to the frames of the parser.
+ * @param {APNG.Parser} apng - parser object
+ * @param {Array<Number>} [range] - first and last frame index, default all frames
+ * @returns {Array<Number>}
+ * @private
+ */
+APNG.Helper._range = function(apng, range) {
+  if ( range && range[ 0 ] > range[ 1 ] ) throw new RangeError('First frame must be before last frame.');
+
+  const last = apng.frameInfo.length - 1;
+  const first = range ? Math.max(0, Math.min(last, range[ 0 ] | 0)) : 0;
+  return [ first, range ? Math.max(first, Math.min(last, range[ 1 ] | 0)) : last ];
+};
+
+/**
+ * Throws if a time value for the timing utilities is not a finite number of 0 or more.
+ * @param {Number} value - value to check
+ * @param {String} name - name of value for the error message
+ * @private
+ */
+APNG.Helper._checkTime = function(value, name) {
+  if ( !(isFinite(value) && value >= 0) ) throw new RangeError(name + ' must be a finite number, 0 or more.');
+};
+
+/**
+ * Sum of delays of a resolved range, see `_range()`.
+ * @param {APNG.Parser} apng - parser object
+ * @param {Array<Number>} r - first and last frame index
+ * @returns {Number}
+ * @private
+ */
+APNG.Helper._rangeDuration = function(apng, r) {
+  return apng.frameInfo.slice(r[ 0 ], r[ 1 ] + 1).reduce(function(prev, curr) {return prev + curr.delay;}, 0);
+};
+
 /**
  * @name APNGHelperOptions
  * @prop {Number} [options.iterations=-1] - number of iterations. If > -1 it will override the original number of iterations
  * @prop {Boolean} [options.ignoreIterations=true] - will loop indefinitely if true (default), otherwise number of iterations is considered.
- * @prop {Boolean} [options.forceRequestAnimationFrame=false] - override timing and force use of `requestAnimationFrame()` for all frames.
- * @prop {String} [options.mode="forward"] - playback mode: forward, backward, ping-pong. NOTE: These modes are not part of the Animation PNG standard.
- *  They may also not be compatible will a APNG files depending on their region and dispose/blend modes.
+ * @prop {Number} [options.playbackRate=1] - initial playback speed, see `playbackRate`.
+ * @prop {Boolean} [options.dropFrames=true] - skip frames to stay in sync with wall time if rendering falls behind. If false
+ *  every frame is shown and the animation slows down instead.
+ * @prop {Number} [options.keyframeInterval=10] - cache the rendered canvas every n frames when seeking (setting
+ *  `currentFrame`) so later seeks start from the closest keyframe. Each keyframe holds a full canvas; use 0 to disable.
+ * @prop {String} [options.mode="forward"] - playback mode: forward, backward, pingpong, range, custom or hold, see `mode`.
+ *  NOTE: These modes, except forward, are not part of the Animation PNG standard.
+ * @prop {Array<Number>} [options.range=null] - first and last frame index to loop in range mode, see `range`
+ * @prop {Array<Number>} [options.order=null] - frame indices to play in custom mode, see `order`
  * @prop {Boolean} [options.debug=false] - if true will draw current region rectangle, frame number, dispose and blend modes on each frame
  * @prop {string} [options.debugColorText="#fff"] - set color for debug text when debug=true
  * @prop {string} [options.debugColorRegion="#f0f"] - set color for debug rectangle when debug=true
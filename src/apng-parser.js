@@ -12,23 +12,125 @@
  */
 const APNG = {};
 
+/**
+ * Creates an error type inheriting from Base. Instances are real Error
+ * objects (with stack) whose prototype is replaced.
+ * @param {String} name - name of error type
+ * @param {Function} Base - error type to inherit from
+ * @returns {Function}
+ * @private
+ */
+APNG._defineError = function(name, Base) {
+  function ErrorType(message, props) {
+    const err = new Error(message);
+    Object.setPrototypeOf(err, ErrorType.prototype);
+    if ( props ) Object.assign(err, props);
+    return err;
+  }
+
+  ErrorType.prototype = Object.create(Base.prototype, {
+    constructor: { value: ErrorType, writable: true, configurable: true },
+    name       : { value: name, writable: true, configurable: true }
+  });
+
+  return ErrorType;
+};
+
+/**
+ * Base type for errors produced while loading and parsing an APNG.
+ * Can be used with `instanceof` to tell parser errors from other errors.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.ParserError = APNG._defineError('ParserError', Error);
+
+/**
+ * The input could not be loaded (fetch halted, non-OK HTTP status or the
+ * Blob/File could not be read). The HTTP status, if any, is available as `status`.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.NetworkError = APNG._defineError('NetworkError', APNG.ParserError);
+
+/**
+ * The input does not start with a valid PNG signature.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.SignatureError = APNG._defineError('SignatureError', APNG.ParserError);
+
+/**
+ * A frame could not be produced or decoded. The frame index is available
+ * as `frame`. If several frames failed, `frame` is the first and `frames`
+ * lists all failed frame indices.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.DecodeError = APNG._defineError('DecodeError', APNG.ParserError);
+
+/**
+ * The file contains errors and the parser is in strict mode, or the file
+ * is too broken to be parsed at all. The validation report is available
+ * as `validation`.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.ValidationError = APNG._defineError('ValidationError', APNG.ParserError);
+
+/**
+ * Parsing was aborted through the AbortSignal given with the `signal` option.
+ * @param {String} message - error message
+ * @param {Object} [props] - additional properties to attach to the error
+ * @constructor
+ */
+APNG.AbortError = APNG._defineError('AbortError', APNG.ParserError);
+
 /**
  * Parses an Animated PNG (APNG) into raw frames (images) which can be
  * used for "manual" animation, frame extraction, analyze and optimization
  * purposes.
  *
  * The parsing is asynchronous and require a callback function. Callback
- * for errors is optional.
+ * for errors is optional. If given, it receives all errors produced
+ * during loading and parsing as {@link APNG.ParserError} objects,
+ * otherwise errors are thrown, except for frames that could not be
+ * produced: the callback is then invoked with the error as argument and
+ * the failed frames are marked in `frameStatus`. An {@link APNG.AbortError}
+ * is passed to the callback in the same way. See also
+ * {@link APNG.parse} for a Promise based alternative.
  *
- * @param {ArrayBuffer|TypedArray|String|Blob|File} input - URL to a APNG file, or an Blob/File object, or a ArrayBuffer/TypedArray holding a APNG file.
+ * @param {ArrayBuffer|TypedArray|String|Blob|File|ReadableStream} input - URL to a APNG file, or an Blob/File object, or a ArrayBuffer/TypedArray holding a APNG file,
+ *   or a ReadableStream providing the bytes of a APNG file.
  * @param {Function} callback - callback function invoked when all parsing and conversion is done. `this` represents the current instance.
- * @param {Function} [onerror] - error callback.
+ *   Receives the error as argument if frames failed or parsing was aborted, and no error callback is given.
+ * @param {Function} [onerror] - error callback. Receives an Error object as argument.
+ * @param {APNGParserOptions} [options] - options for parsing
  * @constructor
  */
-APNG.Parser = function(input, callback, onerror) {
+APNG.Parser = function(input, callback, onerror, options) {
+
+  options = Object.assign({}, {
+    fetchOptions   : undefined,
+    strict         : false,
+    verifyCRC      : true,
+    repairCRC      : false,
+    headless       : typeof Image === 'undefined',
+    streaming      : false,
+    worker         : false,
+    frameType      : typeof Image === 'undefined' ? 'bitmap' : 'image',
+    signal         : undefined,
+    maxChunkSize   : 0x4000000,
+    maxFrames      : 10000,
+    maxPixels      : 0x4000000,
+    maxMetadataSize: 0x100000
+  }, options);
 
   const me = this;
-  let table;
   let fileReader;
   let mimeType = { type: 'image/png' };
 
@@ -60,7 +162,10 @@ APNG.Parser = function(input, callback, onerror) {
   this.duration = 0;
 
   /**
-   * Holds Image object (PNG) representing each raw frame.
+   * Holds Image object (PNG) representing each raw frame, or ImageBitmap,
+   * Blob or data-URI depending on the `frameType` option. If the
+   * `headless` option is used, each frame is instead an ImageData
+   * compatible object ({width, height, data}) holding RGBA pixels.
    * @type {Array}
    */
   this.frames = [];
@@ -68,7 +173,14 @@ APNG.Parser = function(input, callback, onerror) {
   /**
    * Information for how a frame should be rendered. The frame has an
    * offset and size that needs to be considered, as well as dispose
-   * method and blend operation.
+   * method and blend operation. Each entry also carries the image header
+   * information `bitDepth`, `colorType` and `interlace` shared by all frames.
+   *
+   * For animations each entry also holds the values as stored in the frame
+   * control chunk: the delay as fraction of a second `delayNum` / `delayDen`
+   * and the chunk's `sequence` number. The `delay` in milliseconds is what
+   * is used for playback and changed by the timing utilities of
+   * {@link APNG.Helper}; the stored fraction is left as-is.
    *
    * See the [official documentation]{@link https://developer.mozilla.org/en-US/docs/Mozilla/Tech/APNG} for the various definitions.
    *
@@ -82,30 +194,437 @@ APNG.Parser = function(input, callback, onerror) {
    */
   this.isAPNG = false;
 
+  /**
+   * Bit depth of samples (or palette indices) as defined in IHDR: 1, 2, 4, 8 or 16.
+   * @type {number}
+   */
+  this.bitDepth = 0;
+
+  /**
+   * PNG color type as defined in IHDR: 0 = grayscale, 2 = RGB, 3 = indexed (palette),
+   * 4 = grayscale with alpha, 6 = RGB with alpha.
+   * @type {number}
+   */
+  this.colorType = 0;
+
+  /**
+   * Compression method as defined in IHDR (0 = deflate is the only valid method).
+   * @type {number}
+   */
+  this.compression = 0;
+
+  /**
+   * Filter method as defined in IHDR (0 is the only valid method).
+   * @type {number}
+   */
+  this.filter = 0;
+
+  /**
+   * Interlace method as defined in IHDR: 0 = none, 1 = Adam7.
+   * @type {number}
+   */
+  this.interlace = 0;
+
+  /**
+   * Number of entries in the palette (PLTE), 0 if there is no palette.
+   * @type {number}
+   */
+  this.paletteSize = 0;
+
+  /**
+   * Transparency information from the tRNS chunk, or null if none.
+   * For grayscale `{gray}`, for RGB `{red, green, blue}` holding the
+   * sample values considered fully transparent; for indexed color
+   * `{alpha}` holding an Uint8Array with alpha for the first palette entries.
+   * @type {Object|Null}
+   */
+  this.transparency = null;
+
+  /**
+   * True if the image can contain transparent pixels, either through an
+   * alpha channel (color type 4 and 6) or a tRNS chunk.
+   * @type {boolean}
+   */
+  this.hasAlpha = false;
+
+  /**
+   * List of all chunks found in the file in file order. Each record holds
+   * the chunk's `name`, data `size`, data position `pos` (after length
+   * and name fields), the stored `crc` and `crcValid` (true/false if CRC
+   * verification is enabled, otherwise undefined). Chunks repaired via the
+   * `repairCRC` option are flagged with `crcRepaired`.
+   * @type {Array}
+   */
+  this.chunks = [];
+
+  /**
+   * Metadata decoded from ancillary chunks. Compressed text (zTXt,
+   * compressed iTXt) and ICC profiles are decompressed if
+   * apng-decoder.js is loaded, otherwise their `text`/`data` is null and
+   * the compressed bytes are available as `compressedData`.
+   *
+   * @type {APNGMetadata}
+   */
+  this.metadata = {
+    text          : [],
+    time          : null,
+    physical      : null,
+    gamma         : null,
+    chromaticities: null,
+    srgb          : null,
+    iccProfile    : null,
+    exif          : null
+  };
+
+  /**
+   * Validation report for the parsed file. Issues are added for chunks
+   * and frames that do not follow the PNG/APNG specification. `valid` is
+   * false if any issue has severity "error".
+   *
+   * If the `strict` option is set, the parsing is rejected with an
+   * {@link APNG.ValidationError} if the file is not valid.
+   *
+   * @type {{valid: boolean, issues: Array<APNGValidationIssue>}}
+   */
+  this.validation = { valid: true, issues: [] };
+
+  /**
+   * True when all frames are ready and the callback is about to be
+   * invoked. Can be used together with the progressive events below.
+   * @type {boolean}
+   */
+  this.complete = false;
+
+  /**
+   * Number of frames, counting from the first frame, that are done
+   * (see `frameStatus`). With the `streaming` option frames become ready
+   * while data is still being received.
+   * @type {number}
+   */
+  this.framesReady = 0;
+
+  /**
+   * Status for each frame: "pending" while it is being produced, "ready",
+   * or "error" if the frame could not be produced. Parsing completes when
+   * all frames are either ready or failed. Failed frames are reported as a
+   * single {@link APNG.DecodeError} to the error callback (or to the
+   * callback if no error callback is given), listing the failed frame
+   * indices as `frames`.
+   * @type {Array<String>}
+   */
+  this.frameStatus = [];
+
+  /**
+   * Invoked once when the image header and the chunks preceding the image
+   * data have been parsed. Width, height, image header information and
+   * (for APNGs) number of iterations are available at this point.
+   * @type {Function|Null}
+   */
+  this.onheader = options.onheader || null;
+
+  /**
+   * Invoked for each frame, in order, as soon as it is ready. Receives the
+   * frame index, the frame (Image or ImageData compatible object) and its
+   * frame information. Use with the `streaming` option to display the
+   * first frames before the whole file has been received.
+   * @type {Function|Null}
+   */
+  this.onframe = options.onframe || null;
+
+  /**
+   * Invoked when all frames are ready, right before the callback.
+   * @type {Function|Null}
+   */
+  this.oncomplete = options.oncomplete || null;
+
+  /**
+   * Cancels parsing and loading if in progress and releases all
+   * resources: pending frame loads are stopped, object URLs revoked,
+   * ImageBitmap frames closed and references to frames and data dropped.
+   * No callbacks are invoked after this call.
+   */
+  this.destroy = function() {
+    halted = true;
+    cancel();
+    release();
+  };
+
+  /**
+   * Returns a copy of the file as it was read, before any repair, for
+   * example to save or upload the original file. Input buffers are never
+   * modified by the parser. Returns null if the parser has been
+   * destroyed, or with the `worker` option where the file is only
+   * available in the worker.
+   * @returns {Uint8Array|Null}
+   */
+  this.toOriginalBytes = function() {
+    return bytes && !worker ? bytes.slice(0, length) : null;
+  };
+
+  // Parser state
+  const chunks = me.chunks;
+  const files = [];                                     // data separated for each PNG file, waiting to be built
+  const header = [];                                    // common headers for each file (will have modified IDAT)
+  const headerChunks = [                                // chunks we want to bring over to each individual PNG file
+    'IHDR', 'PLTE', 'gAMA', 'pHYs', 'tRNS', 'iCCP', 'sRGB', 'sBIT', 'sPLT'
+  ];
+  const minSizes = {                                    // minimum data size of fixed size chunks
+    acTL: 8, fcTL: 26, fdAT: 4, gAMA: 4, cHRM: 32, pHYs: 9, tIME: 7, sRGB: 1
+  };
+  const errors = [];                                    // errors for frames that could not be produced
+  let bytes = new Uint8Array(0);                        // received bytes (may have unused capacity)
+  let view = new DataView(bytes.buffer);
+  let length = 0;                                       // number of received bytes
+  let pos = 0;                                          // read position for DataView helpers
+  let next = 8;                                         // position of next chunk
+  let frames = 0;                                       // number of frames according to acTL
+  let seqLast = -1;                                     // detect out-of-order APNGs
+  let parts = null;                                     // image data parts (IDAT, fdAT) for current file
+  let fctlBeforeIDAT = false;                           // for IDAT chunk, if true IDAT is part of anim.
+  let headerSent = false;
+  let finished = false;                                 // all input received and all frames built
+  let stopped = false;                                  // IEND reached, invalid data or limit: remaining data is ignored
+  let iend = false;
+  let partial = -1;                                     // index of last frame if the file ended before it was complete
+  let halted = false;                                   // error, abort or destroy: no further events
+  let decoder = null;
+  let worker = null;
+  let reader = null;                                    // stream reader, if reading a stream
+  let controller = null;                                // to abort fetch
+
   /*-----------------------------------------------------------------------------------------------------------------*\
 
       VERIFY AND CONVERT (IF NEEDED) INPUT TYPE
 
   \*-----------------------------------------------------------------------------------------------------------------*/
 
-  if ( input instanceof Blob || input instanceof File ) {
+  if ( options.signal && options.signal.aborted ) {
+    fail(new APNG.AbortError('Parsing was aborted.'));
+  }
+  else if ( options.worker ) {
+    runWorker(input);
+  }
+  else if ( typeof ReadableStream !== 'undefined' && input instanceof ReadableStream ) {
+    readStream(input).catch(fail);
+  }
+  else if ( options.streaming && typeof Blob !== 'undefined' && input instanceof Blob && input.stream ) {
+    readStream(input.stream()).catch(fail);
+  }
+  else if ( typeof Blob !== 'undefined' && input instanceof Blob && typeof FileReader === 'undefined' ) {
+    input.arrayBuffer().then(parse, function(err) {
+      fail(new APNG.NetworkError('Could not read file: ' + err.message));
+    });
+  }
+  else if ( typeof Blob !== 'undefined' && input instanceof Blob ) {
     fileReader = new FileReader();
     fileReader.onload = function() {
-      parseBuffer(this.result);
+      parse(this.result);
+    };
+    fileReader.onerror = function() {
+      fail(new APNG.NetworkError('Could not read file: ' + (this.error ? this.error.message : 'unknown error')));
     };
-    fileReader.onerror = onerror || null;
     fileReader.readAsArrayBuffer(input);
   }
   else if ( typeof input === 'string' ) {
-    fetch(input).then(function(resp) {return resp.arrayBuffer();}).then(parseBuffer);
+    if ( typeof AbortController !== 'undefined' && !(options.fetchOptions && options.fetchOptions.signal) ) {
+      controller = new AbortController();
+      options.fetchOptions = Object.assign({}, options.fetchOptions, { signal: controller.signal });
+    }
+    fetch(input, options.fetchOptions)
+      .then(function(resp) {
+        if ( !resp.ok ) throw new APNG.NetworkError('Could not load "' + input + '" (HTTP ' + resp.status + ').', { status: resp.status });
+        if ( options.streaming && resp.body ) return readStream(resp.body);
+        return resp.arrayBuffer().then(parseBuffer);
+      }, function(err) {
+        throw new APNG.NetworkError('Could not load "' + input + '": ' + err.message);
+      })
+      .catch(fail);
   }
   else if ( ArrayBuffer.isView(input) ) {
-    parseBuffer(input.buffer);
+    parse(new Uint8Array(input.buffer, input.byteOffset, input.byteLength));   // only the view's region, no copy
   }
   else if ( input instanceof ArrayBuffer ) {
-    parseBuffer(input);
+    parse(input);
+  }
+  else throw new TypeError('Unknown input type');
+
+  if ( options.signal && !halted ) options.signal.addEventListener('abort', abort);
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      ERROR HANDLING
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // Parse buffer making sure errors thrown while parsing reach the error callback
+  function parse(buffer) {
+    try {
+      parseBuffer(buffer);
+    }
+    catch(err) {
+      fail(err);
+    }
+  }
+
+  function fail(err) {
+    if ( halted ) return;
+    halted = true;
+    if ( options.signal ) options.signal.removeEventListener('abort', abort);
+    if ( worker ) worker.terminate();
+    if ( onerror ) onerror(err);
+    else if ( err instanceof APNG.AbortError ) callback(err);          // a requested cancellation is not thrown
+    else throw err;
+  }
+
+  // Add an issue to the validation report
+  function report(code, severity, chunk, offset, message) {
+    me.validation.issues.push({
+      code    : code,
+      severity: severity,
+      chunk   : chunk,
+      offset  : offset,
+      message : message
+    });
+    if ( severity === 'error' ) me.validation.valid = false;
+  }
+
+  // Reject if strict mode and errors were found
+  function checkStrict() {
+    if ( options.strict && !me.validation.valid ) {
+      throw new APNG.ValidationError('The file contains errors: ' + me.validation.issues
+        .filter(function(issue) {return issue.severity === 'error';})
+        .map(function(issue) {return issue.message;})
+        .join(' '), { validation: me.validation });
+    }
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      CANCELLATION AND CLEANUP
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // AbortSignal handler: cancel and release, then reject with an AbortError
+  function abort() {
+    if ( halted ) return;
+    cancel();
+    release();
+    fail(new APNG.AbortError('Parsing was aborted.'));
+  }
+
+  // stop loading, reading and building in progress
+  function cancel() {
+    if ( options.signal ) options.signal.removeEventListener('abort', abort);
+    if ( controller ) controller.abort();
+    if ( fileReader && fileReader.readyState === 1 ) fileReader.abort();
+    if ( reader ) reader.cancel().catch(function() {});
+    if ( worker ) worker.terminate();
+    controller = reader = worker = null;
+  }
+
+  // drop frames and data. Pending images are stopped and their object URLs revoked
+  function release() {
+    me.frames.forEach(function(frame) {
+      if ( typeof Image !== 'undefined' && frame instanceof Image ) {
+        frame.onload = frame.onerror = null;
+        if ( frame.src.indexOf('blob:') === 0 ) URL.revokeObjectURL(frame.src);
+        frame.src = '';
+      }
+      else if ( frame && typeof frame.close === 'function' ) frame.close();   // ImageBitmap
+    });
+
+    me.frames = [];
+    me.frameInfo = [];
+    me.frameStatus = [];
+    chunks.length = files.length = header.length = 0;
+    bytes = view = parts = decoder = null;
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      WORKER
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // Parse and build frames in a worker (apng-worker.js). Frames are received ready to use, in order,
+  // as ImageBitmap objects, or as decoded pixels if headless.
+  function runWorker(input) {
+    const transfer = [];
+
+    // the view is copied into a new buffer which is transferred, the input itself is left untouched
+    if ( ArrayBuffer.isView(input) ) transfer.push(input = input.buffer.slice(input.byteOffset, input.byteOffset + input.byteLength));
+    else if ( typeof input === 'string' ) input = new URL(input, location.href).href;
+    else if ( typeof ReadableStream !== 'undefined' && input instanceof ReadableStream ) transfer.push(input);
+
+    worker = new Worker(options.worker === true ? APNG._workerURL : options.worker);
+    worker.onmessage = onMessage;
+    worker.onerror = function(e) {
+      fail(new APNG.ParserError('Worker error: ' + (e.message || 'could not load worker.')));
+    };
+    worker.postMessage({
+      input  : input,
+      options: {
+        fetchOptions   : options.fetchOptions,
+        strict         : options.strict,
+        verifyCRC      : options.verifyCRC,
+        repairCRC      : options.repairCRC,
+        headless       : options.headless,
+        streaming      : options.streaming,
+        frameType      : options.frameType === 'image' ? 'bitmap' : options.frameType,
+        maxChunkSize   : options.maxChunkSize,
+        maxFrames      : options.maxFrames,
+        maxPixels      : options.maxPixels,
+        maxMetadataSize: options.maxMetadataSize
+      }
+    }, transfer);
+
+    function onMessage(e) {
+      const msg = e.data;
+
+      if ( msg.type === 'header' ) {
+        setState(msg.state);
+        emit('onheader');
+      }
+      else if ( msg.type === 'frame' ) {
+        me.frames[ msg.index ] = msg.frame;
+        me.frameInfo[ msg.index ] = msg.info;
+        frameDone(msg.index);
+      }
+      else if ( msg.type === 'complete' ) {
+        worker.terminate();
+        setState(msg.state);
+        finished = true;
+        checkComplete();
+      }
+      else if ( msg.type === 'error' ) {
+        const err = new (APNG[ msg.name ] || APNG.ParserError)(msg.message, msg.props);
+
+        if ( !msg.state ) return fail(err);
+
+        // parsing completed with failed frames, these are marked in frameStatus as without a worker
+        worker.terminate();
+        setState(msg.state);
+        me.frames.length = me.frameStatus.length;
+        me.frameStatus.forEach(function(status, index) {
+          if ( status !== 'ready' ) me.frames[ index ] = null;
+        });
+        me.framesReady = me.frames.length;
+        me.complete = finished = true;
+        done(err);
+      }
+    }
+
+    // copy parser state from worker, chunks are merged into the existing array which the parser refers to
+    function setState(state) {
+      const list = state.chunks;
+
+      delete state.chunks;
+      Object.assign(me, state);
+
+      chunks.length = 0;
+      Array.prototype.push.apply(chunks, list);
+    }
   }
-  else throw 'Unknown input type';
 
   /*-----------------------------------------------------------------------------------------------------------------*\
 
@@ -113,318 +632,956 @@ APNG.Parser = function(input, callback, onerror) {
 
   \*-----------------------------------------------------------------------------------------------------------------*/
 
+  // Chunks are processed as soon as they are complete so that frames can be produced while
+  // data is still arriving (streaming). A complete buffer is simply appended at once.
+
+  // Parse a complete buffer
   function parseBuffer(buffer) {
+    if ( halted ) return;
+    append(buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer));
+    end();
+  }
+
+  // Read a stream incrementally
+  function readStream(stream) {
+    options.streaming = true;                                           // produce frames as their data arrives
+    reader = stream.getReader();
+
+    function pump() {
+      return reader.read().then(function(result) {
+        if ( halted ) return;
+        if ( result.done ) return end();
+        append(result.value);
+        return pump();
+      }, function(err) {
+        throw new APNG.NetworkError('Could not read stream: ' + err.message);
+      });
+    }
 
-    const view = new DataView(buffer);
-    const chunks = [];
-    let pos = 0;
-    let frames = 0;
+    return pump();
+  }
 
-    // validate PNG header
-    if ( getU32() !== 0x89504E47 || getU32() !== 0x0D0A1A0A ) {
-      throw new Error('Not a (A)PNG file.');
+  // Add received bytes and process all complete chunks. The first block is used as-is (read-only), later blocks are
+  // added to an internal copy.
+  function append(block) {
+    if ( !length ) {
+      bytes = block;
+      view = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    }
+    else {
+      if ( length + block.length > bytes.length ) {
+        const tmp = new Uint8Array(Math.max(bytes.length << 1, length + block.length));
+        tmp.set(bytes.subarray(0, length));
+        bytes = tmp;
+        view = new DataView(tmp.buffer);
+      }
+      bytes.set(block, length);
     }
 
-    // Get full size of image
-    me.width = view.getUint32(16);
-    me.height = view.getUint32(20);
+    length += block.length;
+    scan();
+  }
+
+  function scan() {
+    let chunk;
+
+    // validate PNG header
+    if ( !chunks.length && length >= 8 ) {
+      pos = 0;
+      if ( getU32() !== 0x89504E47 || getU32() !== 0x0D0A1A0A ) {
+        throw new APNG.SignatureError('Not a (A)PNG file.');
+      }
+    }
 
-    // Parse chunks
-    while( pos < buffer.byteLength ) {
-      const chunk = {
+    // Parse complete chunks until IEND. Length and type are checked first as a corrupt or malicious length could
+    // otherwise make us wait for data that never arrives, or be taken as a chunk that is not.
+    while( !stopped && next + 12 <= length ) {
+      pos = next;
+      chunk = {
         size: getU32(),
         name: getFourCC(),
         pos : pos
       };
 
-      chunks.push(chunk);
+      if ( !/^[A-Za-z]{4}$/.test(chunk.name) )
+        return stop('INVALID_CHUNK', null, next, 'Invalid chunk type at offset ' + next + ', remaining data is ignored.');
 
-      if ( chunk.name === 'acTL' ) me.isAPNG = true;
-      pos += chunk.size + 4;                                            // skip to next chunk skipping CRC32
+      if ( chunk.size > Math.min(options.maxChunkSize, 0x7fffffff) )
+        return stop('CHUNK_LIMIT', chunk.name, next, 'Chunk ' + chunk.name + ' at offset ' + next + ' has a size of ' + chunk.size +
+          ' bytes which exceeds the limit of ' + Math.min(options.maxChunkSize, 0x7fffffff) + ' bytes, remaining data is ignored.');
+
+      if ( chunk.pos + chunk.size + 4 > length ) return;              // wait for more data
+
+      next = chunk.pos + chunk.size + 4;                                // skip to next chunk skipping CRC32
+      processChunk(chunk);
     }
+  }
 
-    /*---------------------------------------------------------------------------------------------------------------*\
+  // All data received
+  function end() {
+    if ( length < 8 ) throw new APNG.SignatureError('Not a (A)PNG file.');
+
+    if ( iend && next < length ) {
+      report('TRAILING_DATA', 'warning', null, next, (length - next) + ' bytes after the IEND chunk were ignored.');
+    }
+    else if ( !stopped && next < length ) {
+      if ( next + 12 > length ) {
+        report('TRUNCATED_CHUNK', 'error', null, next, 'Not enough data for a chunk at offset ' + next + '.');
+      }
+      else {
+        pos = next + 4;
+        const name = getFourCC();
+        report('TRUNCATED_CHUNK', 'error', name, next, 'Chunk ' + name + ' at offset ' + next + ' extends beyond end of file.');
+      }
+    }
+    else if ( !stopped && chunks.length ) {
+      report('MISSING_IEND', 'error', 'IEND', null, 'IEND chunk is missing.');
+    }
 
-        IF APNG, PARSE CHUNKS AND DATA
+    if ( !chunks.length ) {
+      report('IHDR_POSITION', 'error', 'IHDR', 8, 'IHDR chunk is not the first chunk.');
+      throw new APNG.ValidationError('Error in PNG. IHDR not in correct position.', { validation: me.validation });
+    }
 
-    \*---------------------------------------------------------------------------------------------------------------*/
+    // add final part. If the file did not end properly the data of the last frame may be incomplete
+    if ( parts ) {
+      if ( !iend && me.isAPNG ) partial = me.frames.length + files.length;
+      files.push(parts);
+    }
+    parts = null;
 
-    if ( me.isAPNG ) {
-      let parts = null;                                   // image data parts (IDAT, fdAT) for each file
-      let fcCount = 0;                                    // check fcTL chunk count, compare with frames
-      let seqLast = 0, seqNo, errOutOfOrder = false;      // detect out-of-order APNGs
-      let fctlBeforeIDAT = false;                         // for IDAT chunk, if true IDAT is part of anim.
-      let duration = 0;                                   // track total duration
-      const files = [];                                   // data separated for each PNG file
-      const header = [];                                  // common headers for each file (will have modified IDAT)
-      const headerChunks = [                              // chunks we want to bring over to each individual PNG file
-        'IHDR', 'PLTE', 'gAMA', 'pHYs', 'tRNS', 'iCCP', 'sRGB', 'sBIT', 'sPLT'
-      ];
-
-      // Iterate over each chunk to extract animation data
-      chunks.forEach(function(chunk) {
-
-        // build common header (size for header updated in blob)
-        if ( headerChunks.indexOf(chunk.name) > -1 ) {
-          header.push(chunk);
-        }
-
-        // Should only occur once, holds number of frames and iterations
-        else if ( chunk.name === 'acTL' ) {
-          pos = chunk.pos;
-          frames = getU32();
-          me.iterations = getU32();
-        }
-
-        // Frame control chunk hold offset, region size and timing data
-        else if ( chunk.name === 'fcTL' ) {
-          fcCount++;
-          if ( parts ) files.push(parts);                                       // push previous parts if any
-          parts = [];                                                           // initialize for new parts
-          fctlBeforeIDAT = true;
-          pos = chunk.pos;                                                      // skip sequence no.
-
-          seqNo = getU32();
-
-          if ( seqNo >= seqLast ) {
-            seqLast = seqNo;
-          }
-          else {
-            errOutOfOrder = true;
-          }
-
-          me.frameInfo.push({
-            width  : getU32(),
-            height : getU32(),
-            x      : getU32(),
-            y      : getU32(),
-            delay  : getU16() / (getU16() || 1) * 1000,                         // convert to ms.
-            dispose: getU8(),
-            blend  : getU8()
-          });
+    if ( me.isAPNG && me.frameInfo.length !== frames )
+      report('FRAME_COUNT_MISMATCH', 'error', 'acTL', null, 'Number of frames in acTL (' + frames + ') does not match number of fcTL chunks (' + me.frameInfo.length + ').');
+
+    checkStrict();
+    sendHeader();
+
+    if ( me.isAPNG ) flush();
+    else buildSingle();
+
+    finished = true;
+    checkComplete();
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      PARSE CHUNKS AND DATA
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function processChunk(chunk) {
+
+    chunk.crc = view.getUint32(chunk.pos + chunk.size);
+    if ( options.verifyCRC || options.repairCRC ) verifyCRC(chunk);
 
-          // correct the time if denominator === 0, as per specs
-          if ( view.getUint16(pos - 4) === 0 )
-            me.frameInfo[ me.frameInfo.length - 1 ].delay = 10;
-
-          // add to duration
-          duration += me.frameInfo[ me.frameInfo.length - 1 ].delay;
-        }
-
-        // A regular IDAT, if preceded by a fcTL chunk it is considered part of the animation
-        else if ( chunk.name === 'IDAT' ) {
-          if ( fctlBeforeIDAT ) {
-            parts.push(new Uint8Array(view.buffer, chunk.pos, chunk.size));
-          }
-        }
-
-        // Image data for frame, holds sequence number (ignored) followed by regular IDAT image data
-        else if ( chunk.name === 'fdAT' ) {
-          seqNo = view.getUint32(chunk.pos);
-          if ( seqNo >= seqLast )
-            seqLast = seqNo;
-          else
-            errOutOfOrder = true;
-
-          parts.push(new Uint8Array(view.buffer, chunk.pos + 4, chunk.size - 4));
-        }
+    chunks.push(chunk);
+
+    if ( chunks.length === 1 ) {
+      if ( chunk.name !== 'IHDR' ) {
+        report('IHDR_POSITION', 'error', 'IHDR', 8, 'IHDR chunk is not the first chunk.');
+        throw new APNG.ValidationError('Error in PNG. IHDR not in correct position.', { validation: me.validation });
+      }
+      parseHeader(chunk);
+    }
+
+    if ( chunk.size < minSize(chunk.name) ) {
+      report('INVALID_CHUNK_SIZE', 'error', chunk.name, chunk.pos - 8, 'Chunk ' + chunk.name + ' at offset ' + (chunk.pos - 8) + ' is too short (' + chunk.size + ' bytes) and was ignored.');
+      return checkStrict();
+    }
+
+    parseMetadata(chunk);
+
+    // build common header (size for header updated in blob)
+    if ( headerChunks.indexOf(chunk.name) > -1 ) {
+      header.push(chunk);
+      if ( chunk.name === 'PLTE' ) me.paletteSize = Math.floor(chunk.size / 3);
+      else if ( chunk.name === 'tRNS' ) parseTransparency(chunk);
+    }
+
+    // Should only occur once, holds number of frames and iterations
+    else if ( chunk.name === 'acTL' ) {
+      me.isAPNG = true;
+      pos = chunk.pos;
+      frames = getU32();
+      me.iterations = getU32();
+    }
+
+    // Frame control chunk hold offset, region size and timing data
+    else if ( chunk.name === 'fcTL' ) {
+      sendHeader();
+      if ( parts ) finishFile(parts);                                   // push previous parts if any
+      parts = null;
+
+      if ( me.frameInfo.length >= options.maxFrames )
+        return stop('FRAME_LIMIT', 'fcTL', chunk.pos - 8, 'The animation has more than ' + options.maxFrames + ' frames, remaining frames are ignored.');
+
+      parts = [];                                                       // initialize for new parts
+      fctlBeforeIDAT = true;
+      pos = chunk.pos;
+
+      const sequence = getU32();
+      checkSequence(chunk, sequence);
+
+      const info = addImageInfo({
+        width   : getU32(),
+        height  : getU32(),
+        x       : getU32(),
+        y       : getU32(),
+        delayNum: getU16(),
+        delayDen: getU16(),
+        dispose : getU8(),
+        blend   : getU8(),
+        sequence: sequence
       });
 
-      // add final part
-      if ( parts ) files.push(parts);
+      // convert to ms., a denominator of 0 means 1/100 s as per specs
+      info.delay = info.delayNum / (info.delayDen || 100) * 1000;
 
-      // publish duration
-      me.duration = duration;
+      if ( info.width * info.height > options.maxPixels ) {
+        parts = null;
+        return stop('IMAGE_LIMIT', 'fcTL', chunk.pos - 8, 'Frame ' + me.frameInfo.length + ' size ' + info.width + 'x' + info.height +
+          ' exceeds the limit of ' + options.maxPixels + ' pixels, remaining frames are ignored.');
+      }
 
       // if first frame's dispose method is 2 then use 1, as per specs
-      //if (me.frameInfo[0].dispose === 2); // DISCUSS as the goal is not so much to validate APNGs but parsing
-      //  me.frameInfo[0].dispose = 1;      // them as-is, we should assume this is correct from producer (?).
+      if ( !me.frameInfo.length && info.dispose === 2 ) {
+        info.dispose = 1;
+        report('FIRST_FRAME_DISPOSE_PREVIOUS', 'warning', 'fcTL', chunk.pos - 8, 'First frame uses dispose method 2 (previous), treated as 1 (background).');
+      }
+
+      me.frameInfo.push(info);
+      me.duration += info.delay;                                        // add to duration
 
-      if ( fcCount !== frames || errOutOfOrder ) // todo: improve all error handling (target: beta)
-        console.log('Warning: The APNG contains errors and may not play back correctly.');
+      checkRegion(chunk, info, me.frameInfo.length - 1);
+    }
 
-      /*-------------------------------------------------------------------------------------------------------------*\
+    // A regular IDAT, if preceded by a fcTL chunk it is considered part of the animation
+    else if ( chunk.name === 'IDAT' ) {
+      sendHeader();
+      if ( fctlBeforeIDAT ) {
+        parts.push(bytes.subarray(chunk.pos, chunk.pos + chunk.size));
+      }
+    }
 
-          BUILD BLOBS REPRESENTING EACH FRAME AS A (PRODUCED) PNG FILE
+    // Image data for frame, holds sequence number followed by regular IDAT image data
+    else if ( chunk.name === 'fdAT' ) {
+      checkSequence(chunk, view.getUint32(chunk.pos));
+      if ( parts ) parts.push(bytes.subarray(chunk.pos + 4, chunk.pos + chunk.size));
+    }
 
-      \*-------------------------------------------------------------------------------------------------------------*/
+    // End of file, anything after is ignored
+    else if ( chunk.name === 'IEND' ) {
+      iend = stopped = true;
+    }
 
-      // create a CRC32 LUT
-      table = buildCRC();
+    checkStrict();
+  }
 
-      files.forEach(function(file, index) {
+  // minimum data size of a chunk, for tRNS it depends on the color type
+  function minSize(name) {
+    if ( name === 'tRNS' ) return { 0: 2, 2: 6 }[ me.colorType ] || 0;
+    return minSizes[ name ] || 0;
+  }
 
-        // PNG header
-        const info = me.frameInfo[ index ];
-        let list = [ new Uint32Array([ 0x474E5089, 0xA1A0A0D ]) ];
-        let blob, url, img;
+  // Stop scanning, remaining data is ignored. Frames read so far are still produced
+  function stop(code, name, offset, message) {
+    stopped = true;
+    report(code, 'error', name, offset, message);
+    checkStrict();
+  }
 
-        // copy and modify existing chunks
-        if ( chunks[ 0 ].name !== 'IHDR' )
-          throw 'Error in PNG. IHDR not in correct position.';
+  // Header is complete when image data starts
+  function sendHeader() {
+    if ( headerSent ) return;
+    headerSent = true;
 
-        // Copy each base chunks into new blob
-        header.forEach(function(chunk) {
+    if ( me.colorType === 3 && !me.paletteSize )
+      report('MISSING_PLTE', 'error', 'PLTE', null, 'Indexed color image has no palette (PLTE).');
 
-          let dv, ihdr;
+    checkStrict();
+    emit('onheader');
+  }
 
-          // We need to reflect region size in the IHDR and recalculate CRC32
-          if ( chunk.name === 'IHDR' ) {
-            dv = new DataView(view.buffer, chunk.pos, chunk.size);
-            dv.setUint32(0, info.width);
-            dv.setUint32(4, info.height);
+  // Data for a file is complete, build it now if streaming, otherwise when all is parsed
+  function finishFile(file) {
+    files.push(file);
+    if ( options.streaming ) flush();
+  }
 
-            ihdr = makeChunk('IHDR', new Uint8Array(view.buffer, chunk.pos, chunk.size));
-            list.push(ihdr);
-          }
+  function flush() {
+    while( files.length ) buildFrame(me.frames.length, files.shift());
+  }
 
-          // other chunks are copied as-is
-          else {
-            list.push(new Uint8Array(view.buffer, chunk.pos - 8, chunk.size + 12));
-          }
-        });
+  // A frame is ready, or failed if err is given. Frames becomes available in order
+  function frameDone(index, err) {
+    const status = me.frameStatus;
 
-        // Image data chunks (can be multiple per file) data added, converted to IDAT with new CRC32
-        // Can also be merged into a single chunk but need more temp memory and is slower due to the additional copy process.
-        file.forEach(function(part) {
-          list.push(makeChunk('IDAT', part));
-        });
+    // the last frame of an incomplete file could not be produced, leave it out
+    if ( err && index === partial ) {
+      report('INCOMPLETE_FRAME', 'warning', null, null, 'Frame ' + index + ' is incomplete and was left out.');
+      me.frames.length = me.frameInfo.length = status.length = index;
+      me.duration = me.frameInfo.reduce(function(sum, info) {return sum + info.delay;}, 0);
+      return checkComplete();
+    }
 
-        // push final IEND chunk
-        list.push(new Uint32Array([ 0, 0x444e4549, 0x826042ae ]));
+    status[ index ] = err ? 'error' : 'ready';
+    if ( err ) errors.push(err);
 
-        /*-----------------------------------------------------------------------------------------------------------*\
+    while( status[ me.framesReady ] === 'ready' || status[ me.framesReady ] === 'error' ) {
+      if ( status[ me.framesReady ] === 'ready' )
+        emit('onframe', me.framesReady, me.frames[ me.framesReady ], me.frameInfo[ me.framesReady ]);
+      me.framesReady++;
+    }
+    checkComplete();
+  }
+
+  // Complete when all frames are done, successfully or not. Failed frames are reported as a single error.
+  function checkComplete() {
+    if ( finished && !me.complete && me.framesReady === me.frames.length ) {
+      me.complete = true;
+      setTimeout(function() {
+        done(errors.length ? frameErrors()
+          : me.frames.length ? null
+          : new APNG.ValidationError('No frames could be read from the file.', { validation: me.validation }));
+      });
+    }
+  }
 
-            CREATE IMAGE OBJECTS FOR EACH FRAME BLOB
+  // Invoke the callback. Failed frames go to the error callback if given, otherwise to the callback
+  function done(err) {
+    if ( halted ) return;
+    if ( options.signal ) options.signal.removeEventListener('abort', abort);
+    if ( err && onerror ) return fail(err);
+    if ( !err ) emit('oncomplete');
+    callback(err || undefined);                                         // DONE! (with failed frames if no error callback)
+  }
+
+  function frameErrors() {
+    const failed = errors.map(function(err) {return err.frame;}).sort(function(a, b) {return a - b;});
 
-        \*-----------------------------------------------------------------------------------------------------------*/
+    if ( errors.length === 1 ) return errors[ 0 ];
 
-        blob = new Blob(list, mimeType);                                // merge part list into a single blob
-        list = null;                                                    // lets hope GC can kick in due to async loading below
-        url = URL.createObjectURL(blob);                                // temp. URL for image
+    return new APNG.DecodeError('Could not produce ' + errors.length + ' of ' + me.frames.length + ' frames (' + failed.join(', ') + '): ' +
+      errors.map(function(err) {return err.message;}).join(' '), { frame: failed[ 0 ], frames: failed });
+  }
 
-        img = new Image;
-        img.onload = loadHandler;
-        img.onerror = errorHandler;
-        img.src = url;
+  function emit(name) {
+    if ( !halted && typeof me[ name ] === 'function' )
+      me[ name ].apply(me, Array.prototype.slice.call(arguments, 1));
+  }
 
-        me.frames.push(img);                                            // Add final image to frame Array
+  /*-----------------------------------------------------------------------------------------------------------------*\
 
-        function loadHandler() {
-          URL.revokeObjectURL(this.src);
-          if ( index === frames - 1 ) callback();                         // DONE!
-        }
+      BUILD FRAMES
 
-        function errorHandler() {
-          if ( onerror ) {
-            onerror('Internal error producing PNG.');
-          }
-          else if ( index === frames - 1 )
-            callback();
-        }
-      });
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function buildFrame(index, file) {
+
+    const info = me.frameInfo[ index ];
 
+    // Headless: decode frame into RGBA pixels
+    if ( options.headless ) {
+      decodeFrame(index, file, info.width, info.height);
+      return;
     }
-    else {
 
-      /*-----------------------------------------------------------------------------------------------------------*\
+    /*---------------------------------------------------------------------------------------------------------------*\
+
+        BUILD BLOBS REPRESENTING EACH FRAME AS A (PRODUCED) PNG FILE
+
+    \*---------------------------------------------------------------------------------------------------------------*/
+
+    // PNG header
+    let list = [ new Uint32Array([ 0x474E5089, 0xA1A0A0D ]) ];
+    let blob;
+
+    // Copy each base chunks into new blob
+    header.forEach(function(chunk) {
+
+      let dv, ihdr;
+
+      // We need to reflect region size in the IHDR and recalculate CRC32 (on a copy, input is read-only)
+      if ( chunk.name === 'IHDR' ) {
+        ihdr = bytes.slice(chunk.pos, chunk.pos + chunk.size);
+        dv = new DataView(ihdr.buffer);
+        dv.setUint32(0, info.width);
+        dv.setUint32(4, info.height);
 
-          IT'S A REGULAR PNG, STORE IT AS A SINGLE FRAME
+        list.push(APNG._makeChunk('IHDR', ihdr));
+      }
 
-      \*-----------------------------------------------------------------------------------------------------------*/
+      // repaired chunks get the calculated CRC32
+      else if ( chunk.crcRepaired ) {
+        list.push(APNG._makeChunk(chunk.name, bytes.subarray(chunk.pos, chunk.pos + chunk.size)));
+      }
 
-      me.frames.push(new Image);
-      me.frames[ 0 ].onload = function() {
+      // other chunks are copied as-is
+      else {
+        list.push(bytes.subarray(chunk.pos - 8, chunk.pos + chunk.size + 4));
+      }
+    });
+
+    // Image data chunks (can be multiple per file) data added, converted to IDAT with new CRC32
+    // Can also be merged into a single chunk but need more temp memory and is slower due to the additional copy process.
+    file.forEach(function(part) {
+      list.push(APNG._makeChunk('IDAT', part));
+    });
+
+    // push final IEND chunk
+    list.push(new Uint32Array([ 0, 0x444e4549, 0x826042ae ]));
+
+    /*---------------------------------------------------------------------------------------------------------------*\
+
+        CREATE IMAGE OBJECTS FOR EACH FRAME BLOB
+
+    \*---------------------------------------------------------------------------------------------------------------*/
+
+    blob = new Blob(list, mimeType);                                    // merge part list into a single blob
+    list = null;                                                        // lets hope GC can kick in due to async loading below
+
+    createFrame(blob, index);                                           // Add final image to frame Array
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      IT'S A REGULAR PNG, STORE IT AS A SINGLE FRAME
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function buildSingle() {
+    me.frameInfo.push(singleFrameInfo());
+
+    if ( options.headless ) {
+      decodeFrame(0, chunks
+        .filter(function(chunk) {return chunk.name === 'IDAT';})
+        .map(function(chunk) {return bytes.subarray(chunk.pos, chunk.pos + chunk.size);}), me.width, me.height);
+      return;
+    }
+
+    // repaired chunks get the calculated CRC32 (input is read-only), otherwise the file is used as-is
+    if ( chunks.some(function(chunk) {return chunk.crcRepaired;}) ) {
+      createFrame(new Blob([ bytes.subarray(0, 8) ].concat(chunks.map(function(chunk) {
+        return chunk.crcRepaired
+          ? APNG._makeChunk(chunk.name, bytes.subarray(chunk.pos, chunk.pos + chunk.size))
+          : bytes.subarray(chunk.pos - 8, chunk.pos + chunk.size + 4);
+      })), mimeType), 0);
+    }
+    else createFrame(new Blob([ bytes.subarray(0, length) ], mimeType), 0);
+  }
+
+  // Produce frame of requested type from a PNG blob
+  function createFrame(blob, index) {
+    let img, reader;
+
+    me.frames[ index ] = null;                                          // placeholder for asynchronous types
+    me.frameStatus[ index ] = 'pending';
+
+    if ( options.frameType === 'blob' ) {
+      me.frames[ index ] = blob;
+      frameDone(index);
+    }
+    else if ( options.frameType === 'bitmap' ) {
+      createImageBitmap(blob).then(function(bitmap) {
+        if ( halted ) return bitmap.close();
+        me.frames[ index ] = bitmap;
+        frameDone(index);
+      }, errorHandler);
+    }
+    else if ( options.frameType === 'dataurl' && typeof FileReader !== 'undefined' ) {
+      reader = new FileReader();
+      reader.onload = function() {
+        me.frames[ index ] = this.result;
+        frameDone(index);
+      };
+      reader.onerror = errorHandler;
+      reader.readAsDataURL(blob);
+    }
+    else if ( options.frameType === 'dataurl' ) {
+      blob.arrayBuffer().then(function(buffer) {
+        const data = new Uint8Array(buffer);
+        let str = '';
+        for(let i = 0; i < data.length; i++) str += String.fromCharCode(data[ i ]);
+        me.frames[ index ] = 'data:image/png;base64,' + btoa(str);
+        frameDone(index);
+      }, errorHandler);
+    }
+    else {
+      img = new Image;
+      img.onload = function() {
         URL.revokeObjectURL(this.src);
-        me.frameInfo.push({
-          x      : 0,
-          y      : 0,
-          width  : me.width,
-          height : me.height,
-          delay  : -1,
-          dispose: 1,
-          blend  : 0
-        });
-        callback();
+        frameDone(index);
       };
-      me.frames[ 0 ].src = URL.createObjectURL(new Blob([ buffer ], mimeType));
+      img.onerror = errorHandler;
+      img.src = URL.createObjectURL(blob);
+      me.frames[ index ] = img;
+    }
+
+    function errorHandler() {
+      frameDone(index, new APNG.DecodeError('Internal error producing PNG for frame ' + index + '.', { frame: index }));
     }
+  }
+
+  function singleFrameInfo() {
+    return addImageInfo({
+      x      : 0,
+      y      : 0,
+      width  : me.width,
+      height : me.height,
+      delay  : -1,
+      dispose: 1,
+      blend  : 0
+    });
+  }
 
-    /*-----------------------------------------------------------------------------------------------------------*\
+  // frames share the image header of the file
+  function addImageInfo(info) {
+    info.bitDepth = me.bitDepth;
+    info.colorType = me.colorType;
+    info.interlace = me.interlace;
+    return info;
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
 
-        DATAVIEW HELPERS
+      IMAGE HEADER
 
-    \*-----------------------------------------------------------------------------------------------------------*/
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function parseHeader(ihdr) {
+    let depths;
 
-    function getU8() {
-      return view.getUint8(pos++);
+    if ( ihdr.size < 13 ) {
+      report('INVALID_IHDR', 'error', 'IHDR', ihdr.pos - 8, 'IHDR chunk is too short.');
+      throw new APNG.ValidationError('Error in PNG. IHDR is too short.', { validation: me.validation });
     }
 
-    function getU16() {
-      const v = view.getUint16(pos);
-      pos += 2;
-      return v;
+    // Get full size of image
+    me.width = view.getUint32(ihdr.pos);
+    me.height = view.getUint32(ihdr.pos + 4);
+
+    if ( me.width * me.height > options.maxPixels ) {
+      report('IMAGE_LIMIT', 'error', 'IHDR', ihdr.pos - 8, 'Image size ' + me.width + 'x' + me.height + ' exceeds the limit of ' + options.maxPixels + ' pixels.');
+      throw new APNG.ValidationError('Image size exceeds the limit of ' + options.maxPixels + ' pixels.', { validation: me.validation });
     }
 
-    function getU32() {
-      const v = view.getUint32(pos);
-      pos += 4;
-      return v;
+    me.bitDepth = view.getUint8(ihdr.pos + 8);
+    me.colorType = view.getUint8(ihdr.pos + 9);
+    me.compression = view.getUint8(ihdr.pos + 10);
+    me.filter = view.getUint8(ihdr.pos + 11);
+    me.interlace = view.getUint8(ihdr.pos + 12);
+    me.hasAlpha = me.colorType === 4 || me.colorType === 6;
+
+    depths = { 0: [ 1, 2, 4, 8, 16 ], 2: [ 8, 16 ], 3: [ 1, 2, 4, 8 ], 4: [ 8, 16 ], 6: [ 8, 16 ] }[ me.colorType ];
+    if ( !depths || depths.indexOf(me.bitDepth) < 0 )
+      report('INVALID_IHDR', 'error', 'IHDR', ihdr.pos - 8, 'Invalid combination of color type ' + me.colorType + ' and bit depth ' + me.bitDepth + '.');
+
+    if ( me.compression || me.filter || me.interlace > 1 )
+      report('INVALID_IHDR', 'error', 'IHDR', ihdr.pos - 8, 'Unknown compression, filter or interlace method.');
+  }
+
+  function parseTransparency(trns) {
+    me.hasAlpha = true;
+
+    if ( me.colorType === 0 ) me.transparency = { gray: view.getUint16(trns.pos) };
+    else if ( me.colorType === 2 ) me.transparency = {
+      red  : view.getUint16(trns.pos),
+      green: view.getUint16(trns.pos + 2),
+      blue : view.getUint16(trns.pos + 4)
+    };
+    else if ( me.colorType === 3 ) me.transparency = { alpha: bytes.slice(trns.pos, trns.pos + trns.size) };
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      HEADLESS DECODING HELPERS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function createDecoder() {
+    const plte = findChunk('PLTE');
+    const trns = findChunk('tRNS');
+
+    if ( !APNG.Decoder ) throw new APNG.ParserError('Headless parsing requires apng-decoder.js.');
+
+    return new APNG.Decoder({
+      bitDepth    : me.bitDepth,
+      colorType   : me.colorType,
+      interlace   : me.interlace,
+      palette     : plte ? bytes.subarray(plte.pos, plte.pos + plte.size) : null,
+      transparency: trns ? bytes.subarray(trns.pos, trns.pos + trns.size) : null
+    });
+  }
+
+  // decode frame into RGBA pixels, failures are reported per frame
+  function decodeFrame(index, parts, width, height) {
+    let frame = null;
+    let error = null;
+
+    decoder = decoder || createDecoder();
+    me.frameStatus[ index ] = 'pending';
+
+    try {
+      frame = decoder.decode(parts, width, height);
+    }
+    catch(err) {
+      error = new APNG.DecodeError('Could not decode frame ' + index + ': ' + err.message, { frame: index });
     }
 
-    function getFourCC() {
-      const v = getU32();
-      const c = String.fromCharCode;
-      return c(v >>> 24) + c(v >> 16 & 0xff) + c(v >> 8 & 0xff) + c(v & 0xff);
+    me.frames[ index ] = frame;
+    frameDone(index, error);
+  }
+
+  // header chunk used to build the frames (chunks that were ignored are left out)
+  function findChunk(name) {
+    for(let i = 0; i < header.length; i++) {
+      if ( header[ i ].name === name ) return header[ i ];
     }
+    return null;
   }
 
-  // Build a CRC32 LUT-table for makeChunk()
-  function buildCRC() {
-    const table = new Uint32Array(256);
-    let i = 0, j, crc;
+  /*-----------------------------------------------------------------------------------------------------------*\
+
+      METADATA HELPERS
+
+  \*-----------------------------------------------------------------------------------------------------------*/
+
+  function parseMetadata(chunk) {
+    const meta = me.metadata;
+    const data = bytes.subarray(chunk.pos, chunk.pos + chunk.size);
+    let i, entry, langEnd, transEnd;
+
+    try {
+      switch( chunk.name ) {
+        case 'tEXt':
+          i = indexOfNull(data, 0);
+          meta.text.push({ type: 'tEXt', keyword: latin1(data, 0, i), text: latin1(data, i + 1, data.length) });
+          break;
+
+        case 'zTXt':
+          i = indexOfNull(data, 0);
+          entry = { type: 'zTXt', keyword: latin1(data, 0, i) };
+          decompressInto(entry, data.subarray(i + 2), 'text', function(bytes) {return latin1(bytes, 0, bytes.length);});
+          meta.text.push(entry);
+          break;
+
+        case 'iTXt':
+          i = indexOfNull(data, 0);
+          entry = { type: 'iTXt', keyword: latin1(data, 0, i) };
+          langEnd = indexOfNull(data, i + 3);
+          transEnd = indexOfNull(data, langEnd + 1);
+          entry.language = latin1(data, i + 3, langEnd);
+          entry.translatedKeyword = utf8(data.subarray(langEnd + 1, transEnd));
+          if ( data[ i + 1 ] === 1 ) decompressInto(entry, data.subarray(transEnd + 1), 'text', utf8);
+          else entry.text = utf8(data.subarray(transEnd + 1));
+          meta.text.push(entry);
+          break;
+
+        case 'tIME':
+          meta.time = new Date(Date.UTC(view.getUint16(chunk.pos), data[ 2 ] - 1, data[ 3 ], data[ 4 ], data[ 5 ], data[ 6 ]));
+          break;
+
+        case 'pHYs':
+          meta.physical = {
+            x   : view.getUint32(chunk.pos),
+            y   : view.getUint32(chunk.pos + 4),
+            unit: data[ 8 ] === 1 ? 'meter' : 'unknown'
+          };
+          break;
+
+        case 'gAMA':
+          meta.gamma = view.getUint32(chunk.pos) / 100000;
+          break;
+
+        case 'cHRM':
+          meta.chromaticities = {};
+          [ 'whiteX', 'whiteY', 'redX', 'redY', 'greenX', 'greenY', 'blueX', 'blueY' ].forEach(function(key, index) {
+            meta.chromaticities[ key ] = view.getUint32(chunk.pos + index * 4) / 100000;
+          });
+          break;
+
+        case 'sRGB':
+          meta.srgb = data[ 0 ];
+          break;
+
+        case 'iCCP':
+          i = indexOfNull(data, 0);
+          meta.iccProfile = { name: latin1(data, 0, i) };
+          decompressInto(meta.iccProfile, data.subarray(i + 2), 'data', function(bytes) {return bytes;});
+          break;
+
+        case 'eXIf':
+          meta.exif = data.slice();
+          break;
+      }
+    }
+    catch(err) {
+      report('INVALID_METADATA', 'warning', chunk.name, chunk.pos - 8, 'Could not decode ' + chunk.name + ' chunk at offset ' + (chunk.pos - 8) + ': ' + err.message);
+    }
+  }
 
-    while( i < 256 ) {
-      crc = i >>> 0;
-      for(j = 0; j < 8; j++) crc = (crc & 1) ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
-      table[ i++ ] = crc;
+  // decompress zlib data into entry[key] using the pure JS inflate, if available
+  function decompressInto(entry, compressed, key, convert) {
+    if ( APNG.Decoder ) {
+      entry[ key ] = convert(APNG.Decoder.inflate(compressed, 0, options.maxMetadataSize));
+    }
+    else {
+      entry[ key ] = null;
+      entry.compressedData = compressed.slice();
     }
-    return table;
   }
 
-  /**
-   * Produces a PNG chunk from name and data, including calculated CRC32
-   * checksum. Can be added directly to a PNG file.
-   *
-   * @param {String} name - four ASCII letters (Four-CC) name for chunk.
-   * @param {Uint8Array} data - data to wrap into chunk
-   * @returns {Uint8Array}
-   * @private
-   */
-  function makeChunk(name, data) {
+  function indexOfNull(data, start) {
+    const i = data.indexOf(0, start);
+    if ( i < 0 ) throw new Error('Missing null separator.');
+    return i;
+  }
 
-    const chunk = new Uint8Array(data.length + 12);
-    const dv = new DataView(chunk.buffer);
+  function latin1(data, start, end) {
+    let str = '';
+    for(let i = start; i < end; i++) str += String.fromCharCode(data[ i ]);
+    return str;
+  }
 
-    dv.setUint32(0, data.length);
-    dv.setUint32(4, makeFourCC(name));
-    chunk.set(data, 8);
-    dv.setUint32(chunk.length - 4, calcCRC(chunk));
+  function utf8(data) {
+    return new TextDecoder('utf-8').decode(data);
+  }
 
-    function makeFourCC(n) {
-      const c = n.charCodeAt.bind(n);
-      return c(0) << 24 | (c(1) & 0xff) << 16 | (c(2) & 0xff) << 8 | c(3) & 0xff;
-    }
+  /*-----------------------------------------------------------------------------------------------------------*\
 
-    function calcCRC(buffer) {
-      const len = buffer.length - 4;
-      let crc = (-1 >>> 0);
-      let i = 4;
+      VALIDATION HELPERS
 
-      while( i < len ) crc = (crc >>> 8) ^ table[ (crc ^ buffer[ i++ ]) & 0xff ];
-      return crc ^ -1;
+  \*-----------------------------------------------------------------------------------------------------------*/
+
+  // compare stored CRC with calculated, repair if requested (the repaired CRC is used when frames are built)
+  function verifyCRC(chunk) {
+    const crc = APNG._crc32(bytes, chunk.pos - 4, chunk.pos + chunk.size);
+    chunk.crcValid = crc === chunk.crc;
+
+    if ( chunk.crcValid ) return;
+
+    if ( options.repairCRC ) {
+      chunk.crc = crc;
+      chunk.crcRepaired = true;
+      report('CRC_REPAIRED', 'warning', chunk.name, chunk.pos - 8, 'Chunk ' + chunk.name + ' at offset ' + (chunk.pos - 8) + ' had an invalid CRC which was repaired.');
     }
+    else {
+      report('CRC_MISMATCH', 'error', chunk.name, chunk.pos - 8, 'Chunk ' + chunk.name + ' at offset ' + (chunk.pos - 8) + ' has an invalid CRC.');
+    }
+  }
+
+  // sequence numbers for fcTL and fdAT must start at 0 and increase without gaps
+  function checkSequence(chunk, seqNo) {
+    if ( seqNo !== seqLast + 1 )
+      report('SEQUENCE_ORDER', 'error', chunk.name, chunk.pos - 8, 'Sequence number ' + seqNo + ' in ' + chunk.name + ' is out of order (expected ' + (seqLast + 1) + ').');
+    if ( seqNo > seqLast ) seqLast = seqNo;
+  }
+
+  function checkRegion(chunk, info, index) {
+    if ( !info.width || !info.height )
+      report('ZERO_SIZE_REGION', 'error', chunk.name, chunk.pos - 8, 'Frame ' + index + ' has a zero-sized region.');
+
+    if ( info.x + info.width > me.width || info.y + info.height > me.height )
+      report('FRAME_OUTSIDE_CANVAS', 'error', chunk.name, chunk.pos - 8, 'Frame ' + index + ' extends outside the canvas.');
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------*\
+
+      DATAVIEW HELPERS
+
+  \*-----------------------------------------------------------------------------------------------------------*/
+
+  function getU8() {
+    return view.getUint8(pos++);
+  }
+
+  function getU16() {
+    const v = view.getUint16(pos);
+    pos += 2;
+    return v;
+  }
 
-    return chunk;
+  function getU32() {
+    const v = view.getUint32(pos);
+    pos += 4;
+    return v;
   }
+
+  function getFourCC() {
+    const v = getU32();
+    const c = String.fromCharCode;
+    return c(v >>> 24) + c(v >> 16 & 0xff) + c(v >> 8 & 0xff) + c(v & 0xff);
+  }
+};
+
+/**
+ * Parses an APNG and returns a Promise. This is a Promise based
+ * alternative to creating an {@link APNG.Parser} instance with callbacks.
+ *
+ * @example
+ * APNG.parse("anim.png").then(function(apng) {
+ *   console.log(apng.frames.length);
+ * }).catch(function(err) {
+ *   if ( err instanceof APNG.SignatureError ) ...
+ * });
+ *
+ * @param {ArrayBuffer|TypedArray|String|Blob|File|ReadableStream} input - URL to a APNG file, or an Blob/File object, or a ArrayBuffer/TypedArray holding a APNG file,
+ *   or a ReadableStream providing the bytes of a APNG file.
+ * @param {APNGParserOptions} [options] - options for parsing
+ * @returns {Promise<APNG.Parser>} resolves to the parser instance when all frames are ready. Rejects with
+ *   {@link APNG.NetworkError}, {@link APNG.SignatureError}, {@link APNG.DecodeError} or other errors.
+ * @static
+ */
+APNG.parse = function(input, options) {
+  return new Promise(function(resolve, reject) {
+    new APNG.Parser(input, function() {resolve(this);}, reject, options);
+  });
 };
+
+/**
+ * @name APNGParserOptions
+ * @prop {Object} [fetchOptions] - options passed on to `fetch()` when input is an URL (headers, credentials etc.)
+ * @prop {Boolean} [strict=false] - reject files with validation errors using an {@link APNG.ValidationError}
+ * @prop {Boolean} [verifyCRC=true] - verify the CRC32 checksum of each chunk. Results are stored in the `chunks` records.
+ * @prop {Boolean} [repairCRC=false] - replace invalid CRC32 checksums with calculated ones so frames can still be produced.
+ *   The input buffer is not modified, see `toOriginalBytes()`. Repairs are reported as warnings.
+ * @prop {Boolean} [headless] - decode frames into RGBA pixels (ImageData compatible objects) without using DOM objects
+ *   such as Image, Blob and URL. Requires apng-decoder.js. Default is true if `Image` is not available (Node.js, workers).
+ * @prop {Boolean} [streaming=false] - read URLs and Blobs as streams and produce each frame as soon as its data has been
+ *   received, see `onframe`. ReadableStream input is always read this way.
+ * @prop {String} [frameType] - type of frames when not headless: "image" (Image objects), "bitmap" (ImageBitmap objects),
+ *   "blob" (PNG Blob objects) or "dataurl" (PNG data-URI strings). Default is "image", or "bitmap" if `Image` is not
+ *   available (workers). Image objects cannot be produced in a worker; "bitmap" is used instead with the `worker` option.
+ * @prop {Boolean|String} [worker=false] - parse and build frames in a Web Worker so the main thread is not blocked. Frames
+ *   are ImageBitmap objects (see `frameType`), or decoded pixels if headless. Use true to load apng-worker.js from the same location as
+ *   this script, or give the URL to apng-worker.js.
+ * @prop {AbortSignal} [signal] - signal to abort parsing and loading. The parser is then destroyed (see `destroy()`) and
+ *   the error callback, or the callback if there is none, receives an {@link APNG.AbortError}.
+ * @prop {Number} [maxChunkSize=0x4000000] - max. size of a chunk in bytes (64 MB). Scanning stops at a larger chunk.
+ *   The PNG format allows up to 0x7fffffff.
+ * @prop {Number} [maxFrames=10000] - max. number of frames. Further frames are ignored.
+ * @prop {Number} [maxPixels=0x4000000] - max. number of pixels (width x height) of the image and each frame, to protect
+ *   against decompression bombs. The default allows 8192 x 8192 pixels, or 256 MB per decoded frame. A larger image is
+ *   rejected, a larger frame ends the animation. Lower the limits to what your application needs when parsing untrusted
+ *   files, as each frame can be this large; when stopped at a limit or invalid data the frames read so far are produced.
+ * @prop {Number} [maxMetadataSize=0x100000] - max. size in bytes of decompressed text (zTXt, iTXt) and ICC profiles
+ *   (iCCP). Larger metadata is left out with an INVALID_METADATA warning.
+ * @prop {Function} [onheader] - sets the parser's `onheader` callback
+ * @prop {Function} [onframe] - sets the parser's `onframe` callback
+ * @prop {Function} [oncomplete] - sets the parser's `oncomplete` callback
+ */
+
+/**
+ * An issue found while validating the file.
+ *
+ * Codes with severity "error": `TRUNCATED_CHUNK`, `MISSING_IEND`, `INVALID_CHUNK`, `INVALID_CHUNK_SIZE`, `CRC_MISMATCH`,
+ * `IHDR_POSITION`, `INVALID_IHDR`, `MISSING_PLTE`, `SEQUENCE_ORDER`, `FRAME_COUNT_MISMATCH`, `ZERO_SIZE_REGION`,
+ * `FRAME_OUTSIDE_CANVAS`, `CHUNK_LIMIT`, `FRAME_LIMIT`, `IMAGE_LIMIT`.
+ * Codes with severity "warning": `FIRST_FRAME_DISPOSE_PREVIOUS`, `CRC_REPAIRED`, `INVALID_METADATA`, `TRAILING_DATA`,
+ * `INCOMPLETE_FRAME`.
+ *
+ * @name APNGValidationIssue
+ * @prop {String} code - issue code
+ * @prop {String} severity - "error" or "warning"
+ * @prop {String|Null} chunk - name of chunk the issue relates to, if any
+ * @prop {Number|Null} offset - byte offset of the chunk (start of its length field) in the file, if known
+ * @prop {String} message - human readable description
+ */
+
+/**
+ * Metadata decoded from ancillary chunks. Properties are null if the
+ * corresponding chunk is not present.
+ *
+ * @name APNGMetadata
+ * @prop {Array<Object>} text - text entries from tEXt, zTXt and iTXt chunks in file order. Each entry has `type`,
+ *   `keyword` and `text`; iTXt entries also have `language` and `translatedKeyword`.
+ * @prop {Date|Null} time - last modification time (tIME)
+ * @prop {Object|Null} physical - pixels per unit as `{x, y, unit}` where unit is "meter" or "unknown" (pHYs)
+ * @prop {Number|Null} gamma - image gamma (gAMA)
+ * @prop {Object|Null} chromaticities - `{whiteX, whiteY, redX, redY, greenX, greenY, blueX, blueY}` (cHRM)
+ * @prop {Number|Null} srgb - rendering intent (sRGB)
+ * @prop {Object|Null} iccProfile - `{name, data}` where data is the uncompressed profile as Uint8Array (iCCP)
+ * @prop {Uint8Array|Null} exif - raw EXIF data (eXIf)
+ */
+
+/*-------------------------------------------------------------------------------------------------------------------*\
+
+    SHARED INTERNALS
+
+\*-------------------------------------------------------------------------------------------------------------------*/
+
+/**
+ * Default URL of apng-worker.js used with the `worker` option, resolved
+ * relative to this script.
+ * @type {String}
+ * @private
+ */
+APNG._workerURL = typeof document !== 'undefined' && document.currentScript ?
+                  document.currentScript.src.replace(/[^/]*$/, 'apng-worker.js') : 'apng-worker.js';
+
+/**
+ * Build a CRC32 LUT-table for APNG._crc32().
+ * @returns {Uint32Array}
+ * @private
+ */
+APNG._buildCRC = function() {
+  const table = new Uint32Array(256);
+  let i = 0, j, crc;
+
+  while( i < 256 ) {
+    crc = i >>> 0;
+    for(j = 0; j < 8; j++) crc = (crc & 1) ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    table[ i++ ] = crc;
+  }
+  return table;
+};
+
+/**
+ * Calculates the CRC32 checksum for a range of bytes. The LUT-table is
+ * built on first use.
+ *
+ * @param {Uint8Array} buffer - bytes to calculate checksum for
+ * @param {Number} [start=0] - start position (inclusive)
+ * @param {Number} [end] - end position (exclusive), default is length of buffer
+ * @returns {Number} unsigned 32-bit checksum
+ * @private
+ */
+APNG._crc32 = function(buffer, start, end) {
+  const table = APNG._crcTable || (APNG._crcTable = APNG._buildCRC());
+  let crc = (-1 >>> 0);
+  let i = start | 0;
+
+  end = end === undefined ? buffer.length : end;
+  while( i < end ) crc = (crc >>> 8) ^ table[ (crc ^ buffer[ i++ ]) & 0xff ];
+  return (crc ^ -1) >>> 0;
+};
+
+/**
+ * Produces a PNG chunk from name and data, including calculated CRC32
+ * checksum. Can be added directly to a PNG file.
+ *
+ * @param {String} name - four ASCII letters (Four-CC) name for chunk.
+ * @param {Uint8Array} data - data to wrap into chunk
+ * @returns {Uint8Array}
+ * @private
+ */
+APNG._makeChunk = function(name, data) {
+
+  const chunk = new Uint8Array(data.length + 12);
+  const dv = new DataView(chunk.buffer);
+
+  dv.setUint32(0, data.length);
+  dv.setUint32(4, makeFourCC(name));
+  chunk.set(data, 8);
+  dv.setUint32(chunk.length - 4, APNG._crc32(chunk, 4, chunk.length - 4));
+
+  function makeFourCC(n) {
+    const c = n.charCodeAt.bind(n);
+    return c(0) << 24 | (c(1) & 0xff) << 16 | (c(2) & 0xff) << 8 | c(3) & 0xff;
+  }
+
+  return chunk;
+};
+
+// CommonJS (Node.js): export the namespace and make it available to the other files (require them after this one)
+if ( typeof module === 'object' && module.exports ) module.exports = globalThis.APNG = APNG;
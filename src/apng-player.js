@@ -0,0 +1,374 @@
+/*
+	APNG Player element
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Custom element `<apng-player>` which loads, parses and plays an APNG
+ * file using {@link APNG.Parser} and {@link APNG.Helper}, with an API
+ * similar to the `<video>` element:
+ *
+ * ```html
+ * <apng-player src="anim.png" autoplay loop controls playbackrate="0.5" mode="pingpong"></apng-player>
+ * ```
+ *
+ * Attributes:
+ *
+ * - `src` - URL of the APNG file
+ * - `autoplay` - start playing as soon as the first frames are ready
+ * - `loop` - loop indefinitely. If not set the number of iterations in the file is used
+ * - `controls` - show play/pause button, frame stepper and scrubber
+ * - `playbackrate` - playback speed, see `APNG.Helper#playbackRate`
+ * - `mode` - playback mode, see `APNG.Helper#mode`
+ *
+ * Events dispatched: `loadstart`, `loadedmetadata` (header parsed, size
+ * and frame information available), `loadeddata` (all frames ready),
+ * `play`, `pause`, `timeupdate`, `seeked`, `ended` and `error` (see the
+ * `error` property).
+ *
+ * The file is parsed with the parser's `streaming` option so playback
+ * can start before the whole file has been loaded. Requires
+ * apng-parser.js and apng-helper.js to be included first. Custom
+ * elements require class syntax, so this is the only class in the
+ * library.
+ *
+ * @example
+ * var player = document.querySelector('apng-player');
+ * player.addEventListener('ended', function() {...});
+ * player.currentTime = 500;
+ * player.play();
+ *
+ * @constructor
+ */
+APNG.Player = typeof HTMLElement === 'undefined' ? null : class extends HTMLElement {
+
+  constructor() {
+    super();
+
+    const root = this.attachShadow({ mode: 'open' });
+
+    root.innerHTML = '<style>' +
+      ':host {display:inline-block} canvas {display:block;max-width:100%} ' +
+      '.controls {display:flex;align-items:center;gap:4px;font:12px sans-serif} ' +
+      '.controls[hidden] {display:none} input {flex:1;min-width:40px} button {min-width:2.5em}</style>' +
+      '<canvas part="canvas" width="0" height="0"></canvas>' +
+      '<div class="controls" part="controls" hidden>' +
+      '<button class="step-back" title="Previous frame">|&lt;</button>' +
+      '<button class="play" title="Play">&#9654;</button>' +
+      '<button class="step" title="Next frame">&gt;|</button>' +
+      '<input class="scrubber" type="range" min="0" max="0" step="any" value="0">' +
+      '</div>';
+
+    /**
+     * The underlying parser of the current file, or null.
+     * @type {APNG.Parser|Null}
+     */
+    this.parser = null;
+
+    /**
+     * The underlying helper playing the current file, or null until the
+     * header has been parsed.
+     * @type {APNG.Helper|Null}
+     */
+    this.helper = null;
+
+    /**
+     * The error of the last load, if any.
+     * @type {Error|Null}
+     */
+    this.error = null;
+
+    /**
+     * True if playback has ended.
+     * @type {boolean}
+     */
+    this.ended = false;
+
+    this._canvas = root.querySelector('canvas');
+    this._controls = root.querySelector('.controls');
+    this._button = root.querySelector('.play');
+    this._scrubber = root.querySelector('.scrubber');
+    this._playRequested = false;
+    this._ready = null;
+
+    this._initControls();
+  }
+
+  static get observedAttributes() {
+    return [ 'src', 'loop', 'controls', 'playbackrate', 'mode' ];
+  }
+
+  attributeChangedCallback(name, oldValue, value) {
+    if ( oldValue === value ) return;
+
+    if ( name === 'src' ) this.load();
+    else if ( name === 'controls' ) this._controls.hidden = value === null;
+    else if ( name === 'playbackrate' && this.helper ) this.helper.playbackRate = this.playbackRate;
+    else if ( name === 'mode' && this.helper ) this.helper.mode = this.mode;
+    else if ( name === 'loop' && this.helper ) this._createHelper();
+  }
+
+  // like media elements playback is paused when the element is removed from the document
+  disconnectedCallback() {
+    this.pause();
+  }
+
+  /**
+   * URL of the APNG file. Setting a new URL loads the file.
+   * @member {String} APNG.Player#src
+   */
+  get src() {return this.getAttribute('src') || '';}
+  set src(url) {this.setAttribute('src', url);}
+
+  /**
+   * Start playing as soon as the first frames are ready.
+   * @member {boolean} APNG.Player#autoplay
+   */
+  get autoplay() {return this.hasAttribute('autoplay');}
+  set autoplay(state) {this.toggleAttribute('autoplay', !!state);}
+
+  /**
+   * Loop indefinitely. If false the number of iterations in the file is used.
+   * @member {boolean} APNG.Player#loop
+   */
+  get loop() {return this.hasAttribute('loop');}
+  set loop(state) {this.toggleAttribute('loop', !!state);}
+
+  /**
+   * Show built-in controls.
+   * @member {boolean} APNG.Player#controls
+   */
+  get controls() {return this.hasAttribute('controls');}
+  set controls(state) {this.toggleAttribute('controls', !!state);}
+
+  /**
+   * Playback speed, 1 = normal speed. Negative values plays backwards.
+   * @member {Number} APNG.Player#playbackRate
+   */
+  get playbackRate() {
+    const rate = parseFloat(this.getAttribute('playbackrate'));
+    return isNaN(rate) ? 1 : rate;
+  }
+  set playbackRate(rate) {this.setAttribute('playbackrate', rate);}
+
+  /**
+   * Playback mode, see {@link APNG.Helper#mode}.
+   * @member {String} APNG.Player#mode
+   */
+  get mode() {return this.getAttribute('mode') || 'forward';}
+  set mode(mode) {this.setAttribute('mode', mode);}
+
+  /**
+   * True if playback is paused.
+   * @member {boolean} APNG.Player#paused
+   */
+  get paused() {return !(this.helper ? this.helper.playing : this._playRequested);}
+
+  /**
+   * Current time in milliseconds within the current iteration. Setting
+   * the time seeks.
+   * @member {Number} APNG.Player#currentTime
+   */
+  get currentTime() {return this.helper ? this.helper.currentTime : 0;}
+  set currentTime(time) {
+    if ( !this.helper ) return;
+    this.ended = false;
+    this.helper.currentTime = time;
+  }
+
+  /**
+   * Current frame. Setting the frame seeks.
+   * @member {Number} APNG.Player#currentFrame
+   */
+  get currentFrame() {return this.helper ? this.helper.currentFrame : 0;}
+  set currentFrame(frame) {
+    if ( !this.helper ) return;
+    this.ended = false;
+    this.helper.currentFrame = frame;
+  }
+
+  /**
+   * Duration of one iteration in milliseconds, NaN if not loaded.
+   * @member {Number} APNG.Player#duration
+   */
+  get duration() {return this.helper ? this.helper.duration : NaN;}
+
+  /**
+   * Width of the animation in pixels, 0 if not loaded.
+   * @member {Number} APNG.Player#width
+   */
+  get width() {return this.helper ? this._canvas.width : 0;}
+
+  /**
+   * Height of the animation in pixels, 0 if not loaded.
+   * @member {Number} APNG.Player#height
+   */
+  get height() {return this.helper ? this._canvas.height : 0;}
+
+  /**
+   * Start playing. If the file is still loading playback starts when
+   * the first frames are ready.
+   * @returns {Promise} resolved when playback has started, or rejected if the file cannot be loaded
+   */
+  play() {
+    const me = this;
+
+    me._playRequested = true;
+
+    return (me._ready || Promise.reject(new Error('No source'))).then(function() {
+      if ( me._playRequested && me.helper ) {
+        me.ended = false;
+        me.helper.play();
+      }
+    });
+  }
+
+  /**
+   * Pause playback at current frame.
+   */
+  pause() {
+    this._playRequested = false;
+    if ( this.helper ) this.helper.pause();
+  }
+
+  /**
+   * (Re)load the file given by `src`. Called automatically when `src`
+   * changes.
+   */
+  load() {
+    const me = this;
+    const src = me.src;
+    let resolve, reject;
+
+    me._release();
+    me.error = null;
+    me.ended = false;
+
+    if ( !src ) {
+      me._ready = null;
+      return;
+    }
+
+    me._ready = new Promise(function(res, rej) {
+      resolve = res;
+      reject = rej;
+    });
+    me._ready.catch(function() {});                                     // reported via error event
+
+    me.parser = new APNG.Parser(src, function() {
+      me._dispatch('loadeddata');
+    }, function(err) {
+      me.error = err;
+      reject(err);
+      me._dispatch('error');
+    }, {
+      streaming: true,
+      onheader : function() {
+        me._createHelper();
+        me._dispatch('loadedmetadata');
+        resolve();
+        if ( me.autoplay ) me.play();
+      }
+    });
+
+    me._dispatch('loadstart');
+  }
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  // (re)create the helper, keeping current time and play state
+  _createHelper() {
+    const me = this;
+    const old = me.helper;
+    const time = old ? old.currentTime : 0;
+    const playing = old ? old.playing : false;
+    let helper;
+
+    if ( old ) old.destroy();
+
+    me.helper = helper = new APNG.Helper(me._canvas, me.parser, {
+      ignoreIterations: me.loop,
+      playbackRate    : me.playbackRate,
+      mode            : me.mode
+    });
+
+    helper.onplay = function() {
+      me._button.innerHTML = '&#10074;&#10074;';
+      me._button.title = 'Pause';
+      me._dispatch('play');
+    };
+
+    helper.onpause = function() {
+      me._button.innerHTML = '&#9654;';
+      me._button.title = 'Play';
+      me._dispatch('pause');
+    };
+
+    helper.onended = function() {
+      me._playRequested = false;
+      me.ended = true;
+      helper.onpause();
+      me._dispatch('ended');
+    };
+
+    helper.ontimeupdate = function() {
+      me._scrubber.max = helper.duration;
+      me._scrubber.value = helper.currentTime;
+      me._dispatch('timeupdate');
+    };
+
+    helper.onseeked = function() {
+      me._dispatch('seeked');
+    };
+
+    if ( time ) helper.currentTime = time;
+    if ( playing ) helper.play();
+  }
+
+  _initControls() {
+    const me = this;
+    const root = me.shadowRoot;
+
+    me._button.onclick = function() {
+      if ( me.paused ) me.play();
+      else me.pause();
+    };
+
+    root.querySelector('.step-back').onclick = function() {
+      me.pause();
+      me.currentFrame = Math.max(0, me.currentFrame - 1);
+    };
+
+    root.querySelector('.step').onclick = function() {
+      me.pause();
+      me.currentFrame = me.currentFrame + 1;                            // clamped to last frame by helper
+    };
+
+    me._scrubber.oninput = function() {
+      me.currentTime = parseFloat(this.value);
+    };
+  }
+
+  _release() {
+    if ( this.helper ) this.helper.destroy();
+    if ( this.parser ) this.parser.destroy();
+    this.helper = this.parser = null;
+    this._scrubber.max = this._scrubber.value = 0;
+  }
+
+  _dispatch(type) {
+    this.dispatchEvent(new Event(type));
+  }
+};
+
+if ( APNG.Player && typeof customElements !== 'undefined' && !customElements.get('apng-player') ) {
+  customElements.define('apng-player', APNG.Player);
+}
@@ -0,0 +1,246 @@
+/*
+	APNG Timeline
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/**
+ * Drives any number of {@link APNG.Helper} instances from a single clock
+ * so they stay frame-locked, for example animations layered on top of
+ * each other. Play, pause and seek apply to all members. Each member can
+ * start at an offset on the timeline and play a given number of
+ * iterations.
+ *
+ * Helpers added to a timeline should not be played individually.
+ *
+ * @example
+ * var timeline = new APNG.Timeline();
+ * timeline.add(background)
+ *         .add(character, {offset: 500, iterations: 2});
+ * timeline.play();
+ *
+ * @param {APNGTimelineOptions} [options] - options for timeline
+ * @constructor
+ */
+APNG.Timeline = function(options) {
+
+  options = Object.assign({}, {
+    loop        : false,
+    playbackRate: 1
+  }, options);
+
+  const me = this;
+  const members = [];
+  let position = 0;                                                     // timeline time (ms)
+  let lastTick = 0;
+  let timeRef;
+
+  /**
+   * True if the timeline is playing.
+   * @type {boolean}
+   */
+  this.playing = false;
+
+  /**
+   * Playback speed for all members, 1 = normal speed. Negative values
+   * plays backwards in time until the start of the timeline is reached.
+   * @type {number}
+   */
+  this.playbackRate = options.playbackRate;
+
+  /**
+   * Optional callback for when a member has played all its iterations.
+   * The event's `helper` property holds the member.
+   * @type {Function|Null}
+   * @fires APNG.Timeline#TimelineEvent
+   */
+  this.onmemberended = null;
+
+  /**
+   * Optional callback for when all members have ended. Not called if the
+   * timeline holds a member that loops indefinitely. If the `loop`
+   * option is set the timeline starts over after this call.
+   * @type {Function|Null}
+   * @fires APNG.Timeline#TimelineEvent
+   */
+  this.onended = null;
+
+  /**
+   * Adds a helper to the timeline. The helper is paused and set to the
+   * timeline's current time.
+   *
+   * @param {APNG.Helper} helper - helper to add
+   * @param {APNGTimelineMemberOptions} [memberOptions] - offset and iterations for this member
+   * @returns {APNG.Timeline}
+   */
+  this.add = function(helper, memberOptions) {
+    const member = Object.assign({}, {
+      offset    : 0,
+      iterations: 0
+    }, memberOptions, { helper: helper, ended: false });
+
+    helper.pause();
+    members.push(member);
+    update(member, false);
+
+    return me;
+  };
+
+  /**
+   * Removes a helper from the timeline. The helper is left at its
+   * current frame.
+   * @param {APNG.Helper} helper - helper to remove
+   * @returns {APNG.Timeline}
+   */
+  this.remove = function(helper) {
+    const index = members.findIndex(function(member) {return member.helper === helper;});
+    if ( index > -1 ) members.splice(index, 1);
+    return me;
+  };
+
+  /**
+   * Helpers on this timeline.
+   * @member {Array<APNG.Helper>} APNG.Timeline#members
+   */
+  Object.defineProperty(this, 'members', {
+    get: function() {return members.map(function(member) {return member.helper;});}
+  });
+
+  /**
+   * Sets or gets the current time of the timeline in milliseconds.
+   * Setting the time seeks all members.
+   * @member {Number} APNG.Timeline#currentTime
+   */
+  Object.defineProperty(this, 'currentTime', {
+    get: function() {return position;},
+    set: function(time) {setPosition(time, true);}
+  });
+
+  /**
+   * Duration of the timeline in milliseconds, that is, when the last
+   * member ends. Infinity if a member loops indefinitely.
+   * @member {Number} APNG.Timeline#duration
+   */
+  Object.defineProperty(this, 'duration', {
+    get: function() {
+      return members.reduce(function(max, member) {
+        return Math.max(max, member.iterations ? member.offset + member.helper.duration * member.iterations : Infinity);
+      }, 0);
+    }
+  });
+
+  /**
+   * Start playing all members from the current time.
+   */
+  this.play = function() {
+    if ( me.playing ) return;
+    if ( allEnded() ) setPosition(0, false);                            // start over
+
+    me.playing = true;
+    lastTick = performance.now();
+    timeRef = requestAnimationFrame(tick);
+  };
+
+  /**
+   * Pause all members at current time.
+   */
+  this.pause = function() {
+    me.playing = false;
+    cancelAnimationFrame(timeRef);
+  };
+
+  /**
+   * Stop playing and seek all members to the start of the timeline.
+   */
+  this.stop = function() {
+    me.pause();
+    setPosition(0, false);
+  };
+
+  /*-----------------------------------------------------------------------------------------------------------------*\
+
+      INTERNALS
+
+  \*-----------------------------------------------------------------------------------------------------------------*/
+
+  function tick(time) {
+    let ended;
+
+    position += (time - lastTick) * me.playbackRate;
+    lastTick = time;
+
+    if ( position < 0 ) {                                               // reached start playing backwards
+      setPosition(0, false);
+      me.pause();
+      return;
+    }
+
+    setPosition(position, false);
+
+    ended = allEnded();
+    if ( ended && me.onended ) me.onended(getEvent());
+
+    if ( ended && options.loop ) setPosition(0, false);
+    else if ( ended ) {
+      me.playing = false;
+      return;
+    }
+
+    timeRef = requestAnimationFrame(tick);
+  }
+
+  // Set timeline time and update all members. Only seeking fires the members' seeked callback, not playback.
+  function setPosition(time, seeking) {
+    position = Math.max(0, time);
+    members.forEach(function(member) {update(member, seeking);});
+  }
+
+  // Set member to timeline time. Before its offset a member shows its first frame, after its last iteration the last frame.
+  function update(member, seeking) {
+    const helper = member.helper;
+    const duration = helper.duration;
+    const local = Math.max(0, position - member.offset);
+    const ended = member.iterations > 0 && local >= duration * member.iterations;
+    const wasEnded = member.ended;
+    const time = ended ? Math.max(0, duration - 0.001) : duration > 0 ? local % duration : 0;
+
+    if ( seeking ) helper.currentTime = time;
+    else helper._setTime(time);
+    member.ended = ended;
+
+    if ( ended && !wasEnded && me.onmemberended ) me.onmemberended(getEvent(helper));
+  }
+
+  function allEnded() {
+    return members.length > 0 && members.every(function(member) {return member.ended;});
+  }
+
+  function getEvent(helper) {
+    return { timeStamp: Date.now(), target: me, helper: helper || null };
+  }
+};
+
+/**
+ * @name APNGTimelineOptions
+ * @prop {Boolean} [loop=false] - start over when all members have ended
+ * @prop {Number} [playbackRate=1] - initial playback speed, see `playbackRate`
+ */
+
+/**
+ * @name APNGTimelineMemberOptions
+ * @prop {Number} [offset=0] - time on the timeline in milliseconds when the member starts. Can be negative to start
+ *  part way into the animation.
+ * @prop {Number} [iterations=0] - number of iterations to play, 0 = loop indefinitely
+ */
+
+/**
+ * Event object dispatched for APNG.Timeline callbacks.
+ *
+ * @event APNG.Timeline#TimelineEvent
+ * @prop {Number} timeStamp - time stamp in ms. for when this event was created
+ * @prop {APNG.Timeline} target - the timeline
+ * @prop {APNG.Helper|Null} helper - the member the event is about, if any
+ */
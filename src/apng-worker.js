@@ -0,0 +1,67 @@
+/*
+	APNG Worker
+
+	Copyright (c) 2017, 2024 Epistemex
+	License: CC BY-NC-SA 4.0
+*/
+
+'use strict';
+
+/*
+  Worker script used by APNG.Parser with the `worker` option. Parses the
+  input and builds the frames off the main thread, then posts each frame
+  (ImageBitmap, or decoded pixels if headless) as a transferable object.
+  Blob and data-URI frames are copied.
+
+  Messages to main thread:
+    {type: 'header', state}
+    {type: 'frame', index, frame, info}
+    {type: 'complete', state}
+    {type: 'error', name, message, props, state}  (state is set if parsing completed with failed frames)
+
+  Must be located in the same folder as apng-parser.js and apng-decoder.js.
+*/
+
+importScripts('apng-parser.js', 'apng-decoder.js');
+
+self.onmessage = function(e) {
+
+  const options = Object.assign({}, e.data.options, {
+    onheader: function() {
+      self.postMessage({ type: 'header', state: getState(this) });
+    },
+    onframe: function(index, frame, info) {
+      const transfer = frame.data ? [ frame.data.buffer ] : typeof frame === 'object' && !(frame instanceof Blob) ? [ frame ] : [];
+      self.postMessage({ type: 'frame', index: index, frame: frame, info: info }, transfer);
+    }
+  });
+
+  let parser = null;                                                    // not yet set if the error is immediate
+
+  parser = new APNG.Parser(e.data.input, function() {
+    self.postMessage({ type: 'complete', state: getState(this) });
+  }, function(err) {
+    const props = {};
+    [ 'status', 'frame', 'frames', 'validation' ].forEach(function(key) {
+      if ( key in err ) props[ key ] = err[ key ];
+    });
+    self.postMessage({
+      type   : 'error',
+      name   : err.name,
+      message: err.message,
+      props  : props,
+      state  : parser && parser.complete ? getState(parser) : null
+    });
+  }, options);
+
+  // public properties of the parser, except frames, callbacks and methods which stays in this worker
+  function getState(apng) {
+    const state = {};
+    Object.keys(apng).forEach(function(key) {
+      if ( key !== 'frames' && key !== 'complete' && key !== 'framesReady' && key.substr(0, 2) !== 'on' && typeof apng[ key ] !== 'function' ) {
+        state[ key ] = apng[ key ];
+      }
+    });
+    return state;
+  }
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+function pixels(width, height, seed) {
+  return { width: width, height: height, data: new Uint8ClampedArray(h.randomBytes(width * height * 4, seed)) };
+}
+
+test('_toFraction recovers 16-bit fractions exactly', function() {
+  const random = h.randomBytes(4000, 9);
+  const pairs = [ [ 1, 10 ], [ 1, 30 ], [ 1, 24 ], [ 7, 300 ], [ 1001, 24000 ], [ 1, 65535 ], [ 65534, 65535 ], [ 3, 1 ] ];
+
+  for(let i = 0; i < random.length; i += 4) {
+    pairs.push([ random[ i ] << 8 | random[ i + 1 ], (random[ i + 2 ] << 8 | random[ i + 3 ]) || 1 ]);
+  }
+
+  pairs.forEach(function(pair) {
+    const fraction = APNG.Builder._toFraction(pair[ 0 ] / pair[ 1 ] * 1000);
+    assert.ok(fraction.num <= 0xffff && fraction.den <= 0xffff && fraction.den > 0, pair.join('/'));
+    assert.equal(fraction.num * pair[ 1 ], pair[ 0 ] * fraction.den, pair.join('/'));
+  });
+});
+
+test('_toFraction finds the closest fraction within 16 bits', function() {
+  [ Math.PI * 1000, Math.E * 10, 1000 / 65536, 12345.6789 ].forEach(function(delay) {
+    const value = delay / 1000;
+    const fraction = APNG.Builder._toFraction(delay);
+    let best = Infinity;
+
+    for(let den = 1; den <= 0xffff; den++) {
+      const num = Math.min(0xffff, Math.round(value * den));
+      best = Math.min(best, Math.abs(num / den - value));
+    }
+
+    assert.ok(Math.abs(fraction.num / fraction.den - value) <= best, String(delay));
+  });
+});
+
+test('_toFraction clamps to the format and rejects non-finite delays', function() {
+  assert.deepEqual(APNG.Builder._toFraction(0), { num: 0, den: 1 });
+  assert.deepEqual(APNG.Builder._toFraction(-5), { num: 0, den: 1 });
+  assert.deepEqual(APNG.Builder._toFraction(0xffff * 1000), { num: 0xffff, den: 1 });
+  assert.deepEqual(APNG.Builder._toFraction(1e15), { num: 0xffff, den: 1 });
+
+  [ NaN, Infinity, -Infinity ].forEach(function(delay) {
+    assert.throws(function() { APNG.Builder._toFraction(delay); }, RangeError, String(delay));
+  });
+});
+
+test('addFrame rejects invalid delays', function() {
+  const builder = new APNG.Builder(1, 1);
+  const frame = pixels(1, 1);
+
+  [ NaN, undefined, -1, Infinity, '10ms' ].forEach(function(delay) {
+    assert.throws(function() { builder.addFrame(frame, { delay: delay }); }, RangeError, String(delay));
+  });
+
+  assert.throws(function() { builder.addFrame(null); }, TypeError);
+  assert.equal(builder.length, 0);
+});
+
+test('built file parses to the same frames, regions, operations and timing', async function() {
+  const frames = [ pixels(5, 4, 1), pixels(3, 2, 2), pixels(1, 1, 3) ];
+  const options = [
+    { delay: 100 },
+    { delay: 1000 / 30, x: 2, y: 1, dispose: 2, blend: 1 },
+    { delay: 0, x: 4, y: 3, dispose: 1 }
+  ];
+  const builder = new APNG.Builder(5, 4, { iterations: 2 });
+
+  frames.forEach(function(frame, i) { builder.addFrame(frame, options[ i ]); });
+
+  const apng = await APNG.parse(await builder.build(), { headless: true });
+
+  assert.equal(apng.width, 5);
+  assert.equal(apng.height, 4);
+  assert.equal(apng.iterations, 2);
+  assert.equal(apng.validation.valid, true);
+  assert.deepEqual(apng.frameInfo.map(function(info) { return [ info.delayNum, info.delayDen ]; }), [ [ 1, 10 ], [ 1, 30 ], [ 0, 1 ] ]);
+
+  apng.frames.forEach(function(frame, i) {
+    const info = apng.frameInfo[ i ];
+    assert.deepEqual(frame.data, frames[ i ].data, 'frame ' + i);
+    assert.deepEqual([ info.x, info.y, info.width, info.height, info.dispose, info.blend ], [
+      options[ i ].x || 0, options[ i ].y || 0, frames[ i ].width, frames[ i ].height, options[ i ].dispose || 0, options[ i ].blend || 0
+    ]);
+  });
+});
+
+test('build rejects frames outside the animation and a partial first frame', async function() {
+  await assert.rejects(new APNG.Builder(2, 2).addFrame(pixels(2, 2)).addFrame(pixels(2, 2), { x: 1 }).build(), RangeError);
+  await assert.rejects(new APNG.Builder(2, 2).addFrame(pixels(1, 2)).build(), RangeError);
+  await assert.rejects(new APNG.Builder(2, 2).build(), Error);
+});
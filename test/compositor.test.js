@@ -0,0 +1,140 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ], BLUE = [ 0, 0, 255, 255 ], NONE = [ 0, 0, 0, 0 ];
+
+// Animation object as produced by the parser in headless mode. Frames are [color, info].
+function anim(width, height, frames) {
+  return {
+    width    : width,
+    height   : height,
+    frames   : frames.map(function(f) {
+      const w = f[ 1 ].width, ht = f[ 1 ].height;
+      const data = new Uint8ClampedArray(w * ht * 4);
+      for(let i = 0; i < data.length; i += 4) data.set(f[ 0 ], i);
+      return { width: w, height: ht, data: data };
+    }),
+    frameInfo: frames.map(function(f) {
+      return Object.assign({ x: 0, y: 0, dispose: 0, blend: 0 }, f[ 1 ]);
+    })
+  };
+}
+
+function pixels(frame) {
+  const list = [];
+  for(let i = 0; i < frame.data.length; i += 4) list.push(Array.from(frame.data.subarray(i, i + 4)));
+  return list;
+}
+
+test('conformance files match their expected renderings', async function() {
+  const base = path.join(__dirname, '..', 'www', 'gfx', 'conformance');
+  const tests = JSON.parse(fs.readFileSync(path.join(base, 'tests.json'), 'utf8'));
+
+  for(const t of tests) {
+    const apng = await APNG.parse(h.readFile('conformance/' + t.file).buffer, { headless: true });
+    const expected = await APNG.parse(h.readFile('conformance/expected/' + t.file).buffer, { headless: true });
+    const frames = APNG.Compositor.composite(apng);
+
+    assert.equal(h.maxDiff(frames[ frames.length - 1 ].data, expected.frames[ 0 ].data), 0, t.file);
+    if ( t.delays ) {
+      assert.deepEqual(apng.frameInfo.map(function(info) { return info.delay; }), t.delays, t.file + ' delays');
+      assert.equal(apng.iterations, t.plays, t.file + ' plays');
+    }
+  }
+});
+
+test('dispose none, background and previous', function() {
+  const none = anim(2, 1, [
+    [ RED, { width: 2, height: 1 } ],
+    [ GREEN, { x: 1, width: 1, height: 1 } ]
+  ]);
+  const background = anim(2, 1, [
+    [ RED, { width: 2, height: 1, dispose: 1 } ],
+    [ GREEN, { x: 1, width: 1, height: 1 } ]
+  ]);
+  const previous = anim(2, 1, [
+    [ RED, { width: 2, height: 1 } ],
+    [ BLUE, { width: 2, height: 1, dispose: 2 } ],
+    [ GREEN, { x: 1, width: 1, height: 1 } ]
+  ]);
+
+  assert.deepEqual(pixels(APNG.Compositor.composite(none)[ 1 ]), [ RED, GREEN ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(background)[ 1 ]), [ NONE, GREEN ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(previous)[ 1 ]), [ BLUE, BLUE ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(previous)[ 2 ]), [ RED, GREEN ]);
+});
+
+test('dispose previous on first frame is treated as background', function() {
+  const frames = APNG.Compositor.composite(anim(2, 1, [
+    [ RED, { width: 2, height: 1, dispose: 2 } ],
+    [ GREEN, { x: 1, width: 1, height: 1 } ]
+  ]));
+
+  assert.deepEqual(pixels(frames[ 1 ]), [ NONE, GREEN ]);
+});
+
+test('blend source and over', function() {
+  const half = [ 0, 0, 255, 128 ];
+  const source = anim(1, 1, [ [ RED, { width: 1, height: 1 } ], [ half, { width: 1, height: 1 } ] ]);
+  const over = anim(1, 1, [ [ RED, { width: 1, height: 1 } ], [ half, { width: 1, height: 1, blend: 1 } ] ]);
+  const overEmpty = anim(1, 1, [ [ half, { width: 1, height: 1, blend: 1 } ] ]);
+  const overNone = anim(1, 1, [ [ RED, { width: 1, height: 1 } ], [ NONE, { width: 1, height: 1, blend: 1 } ] ]);
+
+  assert.deepEqual(pixels(APNG.Compositor.composite(source)[ 1 ]), [ half ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(over)[ 1 ]), [ [ 127, 0, 128, 255 ] ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(overEmpty)[ 0 ]), [ half ]);
+  assert.deepEqual(pixels(APNG.Compositor.composite(overNone)[ 1 ]), [ RED ]);
+});
+
+test('frame regions outside the canvas are clipped', function() {
+  const apng = anim(2, 2, [
+    [ RED, { width: 2, height: 2 } ],
+    [ GREEN, { x: 1, y: 1, width: 3, height: 3, dispose: 2 } ],
+    [ BLUE, { x: 5, y: 0, width: 2, height: 2, dispose: 1 } ],
+    [ BLUE, { x: 0, y: 7, width: 2, height: 2, dispose: 2 } ],
+    [ BLUE, { x: 2, y: 0, width: 2, height: 2, dispose: 2, blend: 1 } ],
+    [ NONE, { width: 1, height: 1 } ]
+  ]);
+  const frames = APNG.Compositor.composite(apng);
+
+  assert.deepEqual(pixels(frames[ 1 ]), [ RED, RED, RED, GREEN ]);
+  assert.deepEqual(pixels(frames[ 2 ]), [ RED, RED, RED, RED ]);
+  assert.deepEqual(pixels(frames[ 4 ]), [ RED, RED, RED, RED ]);
+  assert.deepEqual(pixels(frames[ 5 ]), [ NONE, RED, RED, RED ]);
+});
+
+test('getFrame seeks in both directions, next wraps, output is a copy', function() {
+  const apng = anim(2, 1, [
+    [ RED, { width: 2, height: 1, dispose: 1 } ],
+    [ GREEN, { x: 1, width: 1, height: 1, dispose: 2 } ],
+    [ BLUE, { width: 1, height: 1 } ]
+  ]);
+  const all = APNG.Compositor.composite(apng);
+  const compositor = new APNG.Compositor(apng);
+
+  [ 2, 0, 1, 1, 2, 0 ].forEach(function(i) {
+    assert.deepEqual(compositor.getFrame(i).data, all[ i ].data, 'frame ' + i);
+    assert.equal(compositor.currentFrame, i);
+  });
+
+  compositor.getFrame(2).data.fill(7);
+  assert.deepEqual(compositor.getFrame(2).data, all[ 2 ].data);
+  assert.deepEqual(compositor.next().data, all[ 0 ].data);
+  assert.deepEqual(compositor.next().data, all[ 1 ].data);
+
+  compositor.reset();
+  assert.equal(compositor.currentFrame, -1);
+  assert.deepEqual(compositor.next().data, all[ 0 ].data);
+});
+
+test('requires decoded frames', function() {
+  assert.throws(function() {
+    new APNG.Compositor({ width: 1, height: 1, frames: [ {} ], frameInfo: [ {} ] });
+  }, TypeError);
+});
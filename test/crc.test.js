@@ -0,0 +1,72 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ];
+
+function codes(apng) {
+  return apng.validation.issues.map(function(issue) { return issue.code; });
+}
+
+// animation where the CRC of the fcTL chunk of the second frame is wrong
+function corrupted() {
+  const file = h.makeAPNG(2, 2, [ RED, GREEN ]);
+  const apng = new APNG.Parser(file, function() {});
+  const fctl = apng.chunks.filter(function(chunk) { return chunk.name === 'fcTL'; })[ 1 ];
+  file[ fctl.pos + fctl.size ] ^= 0xff;
+  return { file: file, offset: fctl.pos - 8 };
+}
+
+test('CRC of every chunk is verified', async function() {
+  const apng = await APNG.parse(h.makeAPNG(2, 2, [ RED, GREEN ]));
+
+  assert.ok(apng.chunks.length > 0);
+  apng.chunks.forEach(function(chunk) {
+    assert.equal(chunk.crcValid, true);
+    assert.equal(chunk.crcRepaired, undefined);
+  });
+});
+
+test('invalid CRC is reported', async function() {
+  const bad = corrupted();
+  const apng = await APNG.parse(bad.file);
+
+  assert.deepEqual(codes(apng), [ 'CRC_MISMATCH' ]);
+  assert.equal(apng.validation.issues[ 0 ].chunk, 'fcTL');
+  assert.equal(apng.validation.issues[ 0 ].offset, bad.offset);
+  assert.equal(apng.validation.valid, false);
+  assert.deepEqual(apng.chunks.map(function(chunk) { return chunk.crcValid; }).filter(function(valid) { return !valid; }), [ false ]);
+  assert.equal(apng.frames.length, 2);
+
+  await assert.rejects(APNG.parse(bad.file, { strict: true }), function(err) {
+    return err instanceof APNG.ValidationError && err.validation.issues[ 0 ].code === 'CRC_MISMATCH';
+  });
+});
+
+test('invalid CRC is repaired', async function() {
+  const bad = corrupted();
+  const original = bad.file.slice();
+  const apng = await APNG.parse(bad.file, { repairCRC: true, strict: true });
+  const chunk = apng.chunks.filter(function(chunk) { return chunk.crcRepaired; });
+
+  assert.deepEqual(codes(apng), [ 'CRC_REPAIRED' ]);
+  assert.equal(apng.validation.issues[ 0 ].severity, 'warning');
+  assert.equal(apng.validation.valid, true);
+  assert.equal(chunk.length, 1);
+  assert.equal(chunk[ 0 ].name, 'fcTL');
+  assert.equal(chunk[ 0 ].crcValid, false);
+  assert.equal(chunk[ 0 ].crc, APNG._crc32(bad.file, chunk[ 0 ].pos - 4, chunk[ 0 ].pos + chunk[ 0 ].size));
+  assert.deepEqual(apng.frames.map(function(frame) { return Array.from(frame.data.subarray(0, 4)); }), [ RED, GREEN ]);
+  assert.deepEqual(bad.file, original);
+});
+
+test('CRC verification can be turned off', async function() {
+  const apng = await APNG.parse(corrupted().file, { verifyCRC: false });
+
+  assert.deepEqual(codes(apng), []);
+  apng.chunks.forEach(function(chunk) { assert.equal(chunk.crcValid, undefined); });
+  assert.equal(apng.frames.length, 2);
+});
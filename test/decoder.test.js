@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+function rgba(width, height, pixels, options) {
+  const opts = Object.assign({ bitDepth: 8, colorType: 6, interlace: 0 }, options);
+  const data = h.encodeImage(pixels, width, height, 4, { filter: opts.filter, interlace: opts.interlace });
+  return new APNG.Decoder(opts).decode(zlib.deflateSync(data), width, height).data;
+}
+
+test('inflate: stored, fixed and dynamic Huffman blocks', function() {
+  const data = h.randomBytes(70000, 7).map(function(v, i) { return i % 3 ? v & 0x0f : v; });
+
+  [
+    zlib.deflateSync(data, { level: 0 }),
+    zlib.deflateSync(data, { strategy: zlib.constants.Z_FIXED }),
+    zlib.deflateSync(data, { level: 9 })
+  ].forEach(function(compressed) {
+    assert.deepEqual(APNG.Decoder.inflate(compressed, data.length), data);
+  });
+});
+
+test('inflate: size hint smaller than actual output', function() {
+  const data = h.randomBytes(5000, 3);
+  assert.deepEqual(APNG.Decoder.inflate(zlib.deflateSync(data), 10), data);
+});
+
+test('inflate: rejects output larger than max. size', function() {
+  const compressed = zlib.deflateSync(new Uint8Array(100000));
+  assert.throws(function() { APNG.Decoder.inflate(compressed, 1000, 99999); }, APNG.DecodeError);
+  assert.equal(APNG.Decoder.inflate(compressed, 1000, 100000).length, 100000);
+});
+
+test('inflate: rejects corrupt data', function() {
+  const compressed = zlib.deflateSync(h.randomBytes(1000));
+  assert.throws(function() { APNG.Decoder.inflate(compressed.subarray(0, 20), 1000); }, APNG.DecodeError);
+});
+
+test('unfilter: each filter type', function() {
+  const width = 13, height = 7;
+  const pixels = h.randomBytes(width * height * 4, 11);
+
+  [ 0, 1, 2, 3, 4 ].forEach(function(type) {
+    assert.deepEqual(new Uint8Array(rgba(width, height, pixels, { filter: type }).buffer), pixels, 'filter ' + type);
+  });
+
+  assert.deepEqual(new Uint8Array(rgba(width, height, pixels, { filter: function(y) { return 4 - y % 5; } }).buffer), pixels, 'mixed');
+});
+
+test('unfilter: single byte pixels', function() {
+  const width = 9, height = 5;
+  const gray = h.randomBytes(width * height, 5);
+  const data = h.filter(gray, width, 1, function(y) { return y % 5; });
+  const out = new APNG.Decoder({ bitDepth: 8, colorType: 0, interlace: 0 }).decode(zlib.deflateSync(data), width, height).data;
+
+  for(let i = 0; i < gray.length; i++) {
+    assert.deepEqual(Array.from(out.subarray(i * 4, i * 4 + 4)), [ gray[ i ], gray[ i ], gray[ i ], 255 ]);
+  }
+});
+
+test('Adam7: interlaced sizes, including images smaller than a pass', function() {
+  [ [ 1, 1 ], [ 3, 2 ], [ 8, 8 ], [ 13, 11 ], [ 2, 17 ] ].forEach(function(size) {
+    const pixels = h.randomBytes(size[ 0 ] * size[ 1 ] * 4, size[ 0 ] + size[ 1 ]);
+    const out = rgba(size[ 0 ], size[ 1 ], pixels, { interlace: 1, filter: function(y) { return y % 5; } });
+    assert.deepEqual(new Uint8Array(out.buffer), pixels, size.join('x'));
+  });
+});
+
+test('Adam7: decoded by parser in headless mode', async function() {
+  const width = 10, height = 6;
+  const pixels = h.randomBytes(width * height * 4, 2);
+  const apng = await APNG.parse(h.makePNG(width, height, pixels, { interlace: true, filter: 4 }).buffer, { headless: true });
+  assert.deepEqual(new Uint8Array(apng.frames[ 0 ].data.buffer), pixels);
+});
+
+test('low bit depths are scaled to 8 bits', function() {
+  // 1-bit gray, 10 pixels: 1010101010
+  const gray = new APNG.Decoder({ bitDepth: 1, colorType: 0, interlace: 0 })
+    .decode(zlib.deflateSync(Uint8Array.of(0, 0xaa, 0x80)), 10, 1).data;
+  for(let x = 0; x < 10; x++) assert.equal(gray[ x * 4 ], x & 1 ? 0 : 255);
+
+  // 4-bit gray
+  const gray4 = new APNG.Decoder({ bitDepth: 4, colorType: 0, interlace: 0 })
+    .decode(zlib.deflateSync(Uint8Array.of(0, 0x0f, 0x50)), 3, 1).data;
+  assert.deepEqual(Array.from(gray4).filter(function(_, i) { return i % 4 === 0; }), [ 0, 255, 85 ]);
+});
+
+test('palette with transparency', function() {
+  const palette = Uint8Array.of(255, 0, 0, 0, 255, 0, 0, 0, 255, 9, 9, 9);
+  const decoder = new APNG.Decoder({ bitDepth: 2, colorType: 3, interlace: 0, palette: palette, transparency: Uint8Array.of(0, 128) });
+  const out = decoder.decode(zlib.deflateSync(Uint8Array.of(0, 0x1b)), 4, 1).data;     // indices 0 1 2 3
+
+  assert.deepEqual(Array.from(out), [ 255, 0, 0, 0, 0, 255, 0, 128, 0, 0, 255, 255, 9, 9, 9, 255 ]);
+});
+
+test('transparency key for RGB and 16-bit samples', function() {
+  const decoder = new APNG.Decoder({ bitDepth: 16, colorType: 2, interlace: 0, transparency: Uint8Array.of(0x12, 0x34, 0, 1, 0xff, 0xff) });
+  const line = Uint8Array.of(0, 0x12, 0x34, 0, 1, 0xff, 0xff, 0x12, 0x34, 0, 2, 0xff, 0xff);
+  const out = decoder.decode(zlib.deflateSync(line), 2, 1).data;
+
+  assert.deepEqual(Array.from(out), [ 0x12, 0, 0xff, 0, 0x12, 0, 0xff, 255 ]);
+});
+
+test('rejects invalid headers and missing data', function() {
+  assert.throws(function() { new APNG.Decoder({ bitDepth: 4, colorType: 2, interlace: 0 }); }, APNG.DecodeError);
+  assert.throws(function() { new APNG.Decoder({ bitDepth: 8, colorType: 3, interlace: 0 }); }, APNG.DecodeError);
+  assert.throws(function() { new APNG.Decoder({ bitDepth: 8, colorType: 6, interlace: 2 }); }, APNG.DecodeError);
+  assert.throws(function() {
+    new APNG.Decoder({ bitDepth: 8, colorType: 6, interlace: 0 }).decode(zlib.deflateSync(new Uint8Array(10)), 4, 4);
+  }, APNG.DecodeError);
+});
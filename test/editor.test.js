@@ -0,0 +1,126 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+function load(name) {
+  return APNG.parse(h.readFile(name).buffer, { headless: true });
+}
+
+function composite(apng) {
+  return APNG.Compositor.composite(apng).map(function(frame) { return frame.data; });
+}
+
+function delays(apng) {
+  return apng.frameInfo.map(function(info) { return info.delay; });
+}
+
+function assertFrames(actual, expected) {
+  assert.equal(actual.length, expected.length, 'frame count');
+  actual.forEach(function(data, i) { assert.equal(h.maxDiff(data, expected[ i ]), 0, 'frame ' + i); });
+}
+
+test('round-trip without edits keeps frames, operations and timing', async function() {
+  const apng = await load('testanim_optimized.png');
+  const result = await load('testanim_optimized.png')
+    .then(function(source) { return new APNG.Editor(source).build(); })
+    .then(function(buffer) { return APNG.parse(buffer, { headless: true }); });
+
+  assertFrames(composite(result), composite(apng));
+  assert.deepEqual(delays(result), delays(apng));
+  assert.deepEqual(result.frameInfo.map(function(info) { return [ info.x, info.y, info.width, info.height, info.dispose, info.blend ]; }),
+    apng.frameInfo.map(function(info) { return [ info.x, info.y, info.width, info.height, info.dispose, info.blend ]; }));
+  assert.equal(result.iterations, apng.iterations);
+});
+
+test('flatten, trim and reverse, then export', async function() {
+  const original = composite(await load('testanim_optimized.png'));
+  const apng = await load('testanim_optimized.png');
+  const editor = new APNG.Editor(apng);
+  const last = Math.min(original.length - 1, 5);
+
+  editor.flatten().trim(1, last).reverse().setFrameInfo(0, { delay: 500 });
+  editor.iterations = 3;
+
+  assertFrames(apng.frames.map(function(frame) { return frame.data; }), original.slice(1, last + 1).reverse());
+  assert.ok(apng.frameInfo.every(function(info) { return !info.x && !info.y && !info.dispose && !info.blend; }));
+
+  const result = await APNG.parse(await editor.build(), { headless: true });
+
+  assertFrames(composite(result), original.slice(1, last + 1).reverse());
+  assert.deepEqual(delays(result), delays(apng));
+  assert.equal(delays(result)[ 0 ], 500);
+  assert.equal(result.iterations, 3);
+});
+
+test('delete, duplicate, move and insert frames keep the parser consistent', async function() {
+  const apng = await load('testanim.png');
+  const editor = new APNG.Editor(apng);
+  const frames = apng.frames.slice();
+  const count = frames.length;
+  const blank = { width: apng.width, height: apng.height, data: new Uint8ClampedArray(apng.width * apng.height * 4) };
+
+  editor.deleteFrame(0, 2).duplicateFrame(0).moveFrame(0, editor.length - 1).insertFrame(editor.length, blank, { delay: 40 });
+
+  assert.equal(editor.length, count);
+  assert.deepEqual(apng.frames.map(function(frame) { return frames.indexOf(frame); }),
+    frames.map(function(_, i) { return i; }).slice(2).concat([ 2, -1 ]));
+  assert.equal(apng.frames[ count - 1 ], blank);
+  assert.equal(apng.frameInfo.length, count);
+  assert.equal(apng.framesReady, count);
+  assert.equal(apng.frameStatus.length, count);
+  assert.equal(apng.duration, delays(apng).reduce(function(sum, delay) { return sum + delay; }, 0));
+  assert.deepEqual(apng.frameInfo[ count - 1 ], { delay: 40, x: 0, y: 0, dispose: 0, blend: 0, width: apng.width, height: apng.height });
+});
+
+test('rejects invalid edits', async function() {
+  const apng = await load('testanim.png');
+  const editor = new APNG.Editor(apng);
+  const frame = { width: 2, height: 2, data: new Uint8ClampedArray(16) };
+
+  assert.throws(function() { editor.insertFrame(0, new Uint8Array(4)); }, TypeError);
+  assert.throws(function() { editor.insertFrame(0, frame, { x: apng.width - 1 }); }, RangeError);
+  assert.throws(function() { editor.insertFrame(-1, frame); }, RangeError);
+  assert.throws(function() { editor.deleteFrame(editor.length); }, RangeError);
+  assert.throws(function() { editor.trim(2, 1); }, RangeError);
+  assert.throws(function() { editor.setFrameInfo(0, { dispose: 3 }); }, RangeError);
+  assert.throws(function() { editor.setFrameInfo(0, { delay: NaN }); }, RangeError);
+  assert.throws(function() { editor.iterations = -1; }, RangeError);
+});
+
+test('flatten rejects frames that cannot be drawn', function() {
+  const apng = {
+    width     : 1,
+    height    : 1,
+    iterations: 0,
+    frames    : [ 'data:image/png;base64,' ],
+    frameInfo : [ { delay: 100, x: 0, y: 0, width: 1, height: 1, dispose: 0, blend: 0 } ]
+  };
+
+  assert.throws(function() { new APNG.Editor(apng).flatten(); }, TypeError);
+  assert.throws(function() { new APNG.Editor({ complete: false }); }, Error);
+});
+
+test('static PNG is exported as a single frame', async function() {
+  const pixels = h.randomBytes(3 * 2 * 4, 4);
+  const apng = await APNG.parse(h.makePNG(3, 2, pixels));
+  const promise = new APNG.Editor(apng).build();
+
+  assert.ok(promise instanceof Promise);
+
+  const result = await APNG.parse(await promise);
+  assert.equal(result.isAPNG, true);
+  assert.deepEqual(delays(result), [ 0 ]);
+  assert.deepEqual(new Uint8Array(result.frames[ 0 ].data.buffer), pixels);
+});
+
+test('build errors reject the promise', async function() {
+  const apng = await load('testanim.png');
+  const editor = new APNG.Editor(apng);
+
+  apng.frameInfo[ 0 ].delay = NaN;
+  await assert.rejects(editor.build(), RangeError);
+  await assert.rejects(editor.toBlob(), RangeError);
+});
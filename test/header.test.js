@@ -0,0 +1,103 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+// static PNG with image data of given bytes per pixel
+function png(width, height, options, samples, bpp, extra) {
+  return h.makeFile([ h.ihdr(width, height, options) ].concat(extra || [], [
+    h.chunk('IDAT', zlib.deflateSync(h.encodeImage(samples, width, height, bpp, { interlace: options.interlace }))),
+    h.chunk('IEND', Buffer.alloc(0))
+  ]));
+}
+
+function codes(apng) {
+  return apng.validation.issues.map(function(issue) { return issue.code; });
+}
+
+test('image header fields are exposed and carried into frameInfo', async function() {
+  const samples = h.randomBytes(5 * 3 * 6, 8);
+  const apng = await APNG.parse(png(5, 3, { colorType: 2, bitDepth: 16, interlace: 1 }, samples, 6));
+
+  assert.equal(apng.width, 5);
+  assert.equal(apng.height, 3);
+  assert.equal(apng.bitDepth, 16);
+  assert.equal(apng.colorType, 2);
+  assert.equal(apng.compression, 0);
+  assert.equal(apng.filter, 0);
+  assert.equal(apng.interlace, 1);
+  assert.equal(apng.paletteSize, 0);
+  assert.equal(apng.transparency, null);
+  assert.equal(apng.hasAlpha, false);
+  assert.deepEqual(codes(apng), []);
+
+  const info = apng.frameInfo[ 0 ];
+  assert.deepEqual([ info.bitDepth, info.colorType, info.interlace ], [ 16, 2, 1 ]);
+  assert.deepEqual(Array.from(apng.frames[ 0 ].data.subarray(0, 4)), [ samples[ 0 ], samples[ 2 ], samples[ 4 ], 255 ]);
+});
+
+test('palette size and palette transparency', async function() {
+  const plte = h.chunk('PLTE', Buffer.from([ 255, 0, 0, 0, 255, 0, 0, 0, 255 ]));
+  const trns = h.chunk('tRNS', Buffer.from([ 0, 128 ]));
+  const apng = await APNG.parse(png(3, 1, { colorType: 3 }, Uint8Array.of(0, 1, 2), 1, [ plte, trns ]));
+
+  assert.equal(apng.paletteSize, 3);
+  assert.deepEqual(apng.transparency, { alpha: Uint8Array.of(0, 128) });
+  assert.equal(apng.hasAlpha, true);
+  assert.deepEqual(Array.from(apng.frames[ 0 ].data), [ 255, 0, 0, 0, 0, 255, 0, 128, 0, 0, 255, 255 ]);
+});
+
+test('gray and RGB transparency keys', async function() {
+  const gray = await APNG.parse(png(2, 1, { colorType: 0 }, Uint8Array.of(7, 8), 1, [ h.chunk('tRNS', Buffer.from([ 0, 7 ])) ]));
+  const rgb = await APNG.parse(png(1, 1, { colorType: 2 }, Uint8Array.of(1, 2, 3), 3, [ h.chunk('tRNS', Buffer.from([ 0, 1, 0, 2, 0, 3 ])) ]));
+
+  assert.deepEqual(gray.transparency, { gray: 7 });
+  assert.equal(gray.hasAlpha, true);
+  assert.deepEqual(Array.from(gray.frames[ 0 ].data), [ 7, 7, 7, 0, 8, 8, 8, 255 ]);
+  assert.deepEqual(rgb.transparency, { red: 1, green: 2, blue: 3 });
+  assert.deepEqual(Array.from(rgb.frames[ 0 ].data), [ 1, 2, 3, 0 ]);
+});
+
+test('short tRNS chunks are reported and ignored', async function() {
+  const gray = await APNG.parse(png(1, 1, { colorType: 0 }, Uint8Array.of(7), 1, [ h.chunk('tRNS', Buffer.from([ 7 ])) ]));
+  const rgb = await APNG.parse(png(1, 1, { colorType: 2 }, Uint8Array.of(0, 1, 0), 3, [ h.chunk('tRNS', Buffer.from([ 0, 0, 0, 1 ])) ]));
+
+  [ gray, rgb ].forEach(function(apng) {
+    assert.deepEqual(codes(apng), [ 'INVALID_CHUNK_SIZE' ]);
+    assert.equal(apng.validation.issues[ 0 ].chunk, 'tRNS');
+    assert.equal(apng.transparency, null);
+    assert.equal(apng.hasAlpha, false);
+    assert.equal(apng.frames[ 0 ].data[ 3 ], 255);
+  });
+});
+
+// resolves to the parser when done, also if parsing failed
+function parser(file) {
+  return new Promise(function(resolve) {
+    const apng = new APNG.Parser(file, done, done);
+    function done() { setTimeout(function() { resolve(apng); }); }
+  });
+}
+
+test('invalid image headers', async function() {
+  const depth = await parser(png(1, 1, { colorType: 2, bitDepth: 4 }, h.fill(1, 1, [ 1, 2, 3, 4 ]), 4));
+  const data = Buffer.alloc(13);
+
+  data.writeUInt32BE(1, 0);
+  data.writeUInt32BE(1, 4);
+  data.set([ 8, 6, 0, 1, 0 ], 8);                                       // filter method 1
+  const method = await parser(h.makeFile([ h.chunk('IHDR', data), h.chunk('IEND', Buffer.alloc(0)) ]));
+
+  assert.deepEqual([ depth.colorType, depth.bitDepth ], [ 2, 4 ]);
+  assert.equal(codes(depth)[ 0 ], 'INVALID_IHDR');
+  assert.equal(method.filter, 1);
+  assert.equal(codes(method)[ 0 ], 'INVALID_IHDR');
+
+  await assert.rejects(APNG.parse(png(1, 1, { colorType: 2, bitDepth: 4 }, h.fill(1, 1, [ 1, 2, 3, 4 ]), 4)), APNG.DecodeError);
+  await assert.rejects(APNG.parse(h.makeFile([ h.chunk('IHDR', Buffer.alloc(12)), h.chunk('IEND', Buffer.alloc(0)) ])), function(err) {
+    return err instanceof APNG.ValidationError && err.validation.issues[ 0 ].code === 'INVALID_IHDR';
+  });
+});
@@ -0,0 +1,360 @@
+/*
+	Test helpers
+
+	Loads the library into Node.js and provides a minimal PNG encoder,
+	written independently of the library, to produce test input.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const threads = require('worker_threads');
+
+const APNG = require('../src/apng-parser.js');
+require('../src/apng-decoder.js');
+require('../src/apng-compositor.js');
+require('../src/apng-builder.js');
+require('../src/apng-helper.js');
+require('../src/apng-editor.js');
+
+const gfx = path.join(__dirname, '..', 'www', 'gfx');
+const workerFile = path.join(__dirname, '..', 'src', 'apng-worker.js');
+
+const crcTable = new Uint32Array(256).map(function(_, n) {
+  for(let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+  return n >>> 0;
+});
+
+/**
+ * Reads a file from www/gfx.
+ * @param {String} name - file name, relative to www/gfx
+ * @returns {Uint8Array}
+ */
+function readFile(name) {
+  return new Uint8Array(fs.readFileSync(path.join(gfx, name)));
+}
+
+/**
+ * Deterministic pseudo random bytes.
+ * @param {Number} length - number of bytes
+ * @param {Number} [seed=1]
+ * @returns {Uint8Array}
+ */
+function randomBytes(length, seed) {
+  const result = new Uint8Array(length);
+  let s = seed || 1;
+  for(let i = 0; i < length; i++) {
+    s = (s * 1103515245 + 12345) >>> 0;
+    result[ i ] = s >>> 16;
+  }
+  return result;
+}
+
+/**
+ * Filters scanlines as defined by the PNG specification.
+ * @param {Uint8Array} raw - unfiltered scanlines without filter type bytes
+ * @param {Number} stride - bytes per scanline
+ * @param {Number} bpp - bytes per complete pixel (min. 1)
+ * @param {Number|Function} type - filter type (0-4), or a function of the line index returning the type
+ * @returns {Uint8Array} scanlines, each prefixed with its filter type
+ */
+function filter(raw, stride, bpp, type) {
+  const lines = raw.length / stride;
+  const result = new Uint8Array(lines * (stride + 1));
+
+  for(let y = 0; y < lines; y++) {
+    const t = typeof type === 'function' ? type(y) : type;
+    const cur = y * stride;
+    const out = y * (stride + 1);
+
+    result[ out ] = t;
+    for(let i = 0; i < stride; i++) {
+      const a = i >= bpp ? raw[ cur + i - bpp ] : 0;
+      const b = y ? raw[ cur - stride + i ] : 0;
+      const c = y && i >= bpp ? raw[ cur - stride + i - bpp ] : 0;
+      let predictor = 0;
+
+      if ( t === 1 ) predictor = a;
+      else if ( t === 2 ) predictor = b;
+      else if ( t === 3 ) predictor = (a + b) >> 1;
+      else if ( t === 4 ) {
+        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        predictor = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+
+      result[ out + 1 + i ] = (raw[ cur + i ] - predictor) & 0xff;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Produces the filtered image data of 8-bit samples, optionally Adam7
+ * interlaced.
+ * @param {Uint8Array} pixels - samples, bpp bytes per pixel
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Number} bpp - bytes per pixel
+ * @param {Object} [options] - filter type (see `filter()`) and interlace (boolean)
+ * @returns {Uint8Array}
+ */
+function encodeImage(pixels, width, height, bpp, options) {
+  const opts = Object.assign({ filter: 0, interlace: false }, options);
+  const passes = opts.interlace
+    ? [ [ 0, 0, 8, 8 ], [ 4, 0, 8, 8 ], [ 0, 4, 4, 8 ], [ 2, 0, 4, 4 ], [ 0, 2, 2, 4 ], [ 1, 0, 2, 2 ], [ 0, 1, 1, 2 ] ]
+    : [ [ 0, 0, 1, 1 ] ];
+  const parts = [];
+
+  passes.forEach(function(pass) {
+    const pw = Math.ceil((width - pass[ 0 ]) / pass[ 2 ]);
+    const ph = Math.ceil((height - pass[ 1 ]) / pass[ 3 ]);
+    const raw = new Uint8Array(Math.max(0, pw * ph * bpp));
+    let i = 0;
+
+    if ( pw <= 0 || ph <= 0 ) return;                                   // empty pass has no scanlines
+
+    for(let y = pass[ 1 ]; y < height; y += pass[ 3 ]) {
+      for(let x = pass[ 0 ]; x < width; x += pass[ 2 ]) {
+        raw.set(pixels.subarray((y * width + x) * bpp, (y * width + x + 1) * bpp), i);
+        i += bpp;
+      }
+    }
+
+    parts.push(filter(raw, pw * bpp, bpp, opts.filter));
+  });
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Creates a PNG chunk.
+ * @param {String} name - chunk type
+ * @param {Uint8Array} data - chunk data
+ * @returns {Buffer}
+ */
+function chunk(name, data) {
+  const result = Buffer.alloc(data.length + 12);
+  let crc = -1;
+
+  result.writeUInt32BE(data.length, 0);
+  result.write(name, 4, 'latin1');
+  result.set(data, 8);
+  for(let i = 4; i < result.length - 4; i++) crc = crcTable[ (crc ^ result[ i ]) & 0xff ] ^ (crc >>> 8);
+  result.writeUInt32BE((crc ^ -1) >>> 0, result.length - 4);
+
+  return result;
+}
+
+/**
+ * Creates a PNG file from a list of chunks.
+ * @param {Array<Buffer>} chunks - chunks, see `chunk()`
+ * @returns {Uint8Array}
+ */
+function makeFile(chunks) {
+  return new Uint8Array(Buffer.concat([ Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]) ].concat(chunks)));
+}
+
+/**
+ * Creates an IHDR chunk.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Object} [options] - colorType (default 6), bitDepth (default 8) and interlace (default 0)
+ * @returns {Buffer}
+ */
+function ihdr(width, height, options) {
+  const opts = Object.assign({ colorType: 6, bitDepth: 8, interlace: 0 }, options);
+  const data = Buffer.alloc(13);
+
+  data.writeUInt32BE(width, 0);
+  data.writeUInt32BE(height, 4);
+  data[ 8 ] = opts.bitDepth;
+  data[ 9 ] = opts.colorType;
+  data[ 12 ] = opts.interlace;
+
+  return chunk('IHDR', data);
+}
+
+/**
+ * Creates an acTL chunk.
+ * @param {Number} frames - number of frames
+ * @param {Number} plays - number of plays, 0 is infinite
+ * @returns {Buffer}
+ */
+function actl(frames, plays) {
+  const data = Buffer.alloc(8);
+  data.writeUInt32BE(frames, 0);
+  data.writeUInt32BE(plays, 4);
+  return chunk('acTL', data);
+}
+
+/**
+ * Creates a fcTL chunk.
+ * @param {Number} sequence - sequence number
+ * @param {Object} info - width, height, and optional x, y, delayNum (default 1), delayDen (default 10), dispose, blend
+ * @returns {Buffer}
+ */
+function fctl(sequence, info) {
+  const data = Buffer.alloc(26);
+
+  data.writeUInt32BE(sequence, 0);
+  data.writeUInt32BE(info.width, 4);
+  data.writeUInt32BE(info.height, 8);
+  data.writeUInt32BE(info.x || 0, 12);
+  data.writeUInt32BE(info.y || 0, 16);
+  data.writeUInt16BE(info.delayNum === undefined ? 1 : info.delayNum, 20);
+  data.writeUInt16BE(info.delayDen === undefined ? 10 : info.delayDen, 22);
+  data[ 24 ] = info.dispose || 0;
+  data[ 25 ] = info.blend || 0;
+
+  return chunk('fcTL', data);
+}
+
+/**
+ * Creates a fdAT chunk.
+ * @param {Number} sequence - sequence number
+ * @param {Uint8Array} data - compressed image data
+ * @returns {Buffer}
+ */
+function fdat(sequence, data) {
+  const seq = Buffer.alloc(4);
+  seq.writeUInt32BE(sequence, 0);
+  return chunk('fdAT', Buffer.concat([ seq, data ]));
+}
+
+/**
+ * Compresses 8-bit RGBA pixels as PNG image data.
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Object} [options] - see `encodeImage()`
+ * @returns {Buffer}
+ */
+function compress(pixels, width, height, options) {
+  return zlib.deflateSync(encodeImage(pixels, width, height, 4, options));
+}
+
+/**
+ * Creates a static 8-bit RGBA PNG file.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Uint8Array} pixels - RGBA pixels
+ * @param {Object} [options] - see `encodeImage()`
+ * @returns {Uint8Array}
+ */
+function makePNG(width, height, pixels, options) {
+  return makeFile([
+    ihdr(width, height, { interlace: options && options.interlace ? 1 : 0 }),
+    chunk('IDAT', compress(pixels, width, height, options)),
+    chunk('IEND', new Uint8Array(0))
+  ]);
+}
+
+/**
+ * Creates an 8-bit RGBA APNG file where the default image is the first
+ * frame. Frames cover the entire image, each filled with its own color.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Array<Array<Number>>} colors - RGBA color of each frame
+ * @param {Number} [plays=0] - number of plays
+ * @returns {Uint8Array}
+ */
+function makeAPNG(width, height, colors, plays) {
+  const list = [ ihdr(width, height), actl(colors.length, plays || 0) ];
+  let sequence = 0;
+
+  colors.forEach(function(color, i) {
+    const data = compress(fill(width, height, color), width, height);
+    list.push(fctl(sequence++, { width: width, height: height }));
+    list.push(i ? fdat(sequence++, data) : chunk('IDAT', data));
+  });
+
+  list.push(chunk('IEND', new Uint8Array(0)));
+  return makeFile(list);
+}
+
+/**
+ * RGBA pixels of a single color.
+ * @param {Number} width
+ * @param {Number} height
+ * @param {Array<Number>} color - RGBA
+ * @returns {Uint8Array}
+ */
+function fill(width, height, color) {
+  const data = new Uint8Array(width * height * 4);
+  for(let i = 0; i < data.length; i += 4) data.set(color, i);
+  return data;
+}
+
+/**
+ * Minimal Web Worker running a worker script in a Node.js worker thread,
+ * with `self`, `postMessage` and `importScripts` as in browsers.
+ * @param {String} file - path to the worker script
+ * @constructor
+ */
+function WebWorker(file) {
+  const me = this;
+  const thread = new threads.Worker(`
+    const threads = require('worker_threads');
+    const fs = require('fs');
+    const path = require('path');
+    const vm = require('vm');
+    const load = function(file) { vm.runInThisContext(fs.readFileSync(file, 'utf8'), { filename: file }); };
+
+    globalThis.self = globalThis;
+    globalThis.postMessage = function(msg, transfer) { threads.parentPort.postMessage(msg, transfer); };
+    globalThis.importScripts = function() {
+      Array.prototype.forEach.call(arguments, function(name) { load(path.join(path.dirname(threads.workerData), name)); });
+    };
+    threads.parentPort.on('message', function(data) { self.onmessage({ data: data }); });
+    load(threads.workerData);
+  `, { eval: true, workerData: file });
+
+  thread.on('message', function(data) { if ( me.onmessage ) me.onmessage({ data: data }); });
+  thread.on('error', function(err) { if ( me.onerror ) me.onerror({ message: err.message }); });
+
+  this.postMessage = function(msg, transfer) { thread.postMessage(msg, transfer); };
+  this.terminate = function() { thread.terminate(); };
+}
+
+/**
+ * Max. difference of alpha and alpha-weighted color components of two
+ * RGBA buffers. Color is irrelevant for fully transparent pixels.
+ * @param {Uint8Array|Uint8ClampedArray} a
+ * @param {Uint8Array|Uint8ClampedArray} b
+ * @returns {Number}
+ */
+function maxDiff(a, b) {
+  let max = a.length === b.length ? 0 : Infinity;
+
+  for(let i = 0; i < a.length; i += 4) {
+    const alpha = Math.min(a[ i + 3 ], b[ i + 3 ]) / 255;
+    max = Math.max(max, Math.abs(a[ i + 3 ] - b[ i + 3 ]));
+    for(let c = 0; c < 3; c++) max = Math.max(max, Math.round(Math.abs(a[ i + c ] - b[ i + c ]) * alpha));
+  }
+
+  return max;
+}
+
+module.exports = {
+  APNG        : APNG,
+  readFile    : readFile,
+  randomBytes : randomBytes,
+  filter      : filter,
+  encodeImage : encodeImage,
+  chunk       : chunk,
+  makeFile    : makeFile,
+  ihdr        : ihdr,
+  actl        : actl,
+  fctl        : fctl,
+  fdat        : fdat,
+  compress    : compress,
+  makePNG     : makePNG,
+  makeAPNG    : makeAPNG,
+  fill        : fill,
+  maxDiff     : maxDiff,
+  WebWorker   : WebWorker,
+  workerFile  : workerFile
+};
@@ -0,0 +1,93 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ];
+
+globalThis.Worker = h.WebWorker;
+
+function colors(apng) {
+  return apng.frames.map(function(frame) { return Array.from(frame.data.subarray(0, 4)); });
+}
+
+// animation with an invalid CRC in the IHDR chunk
+function badCRC() {
+  const file = h.makeAPNG(3, 3, [ RED, GREEN ]);
+  file[ 29 ] ^= 0xff;
+  return file;
+}
+
+test('input buffer is never modified', async function() {
+  const file = badCRC();
+  const copy = file.slice();
+  const apng = await APNG.parse(file, { repairCRC: true });
+
+  assert.equal(apng.chunks[ 0 ].crcRepaired, true);
+  assert.deepEqual(colors(apng), [ RED, GREEN ]);
+  assert.deepEqual(file, copy);
+
+  apng.destroy();
+  assert.deepEqual(file, copy);
+});
+
+test('views into a larger buffer are parsed from their own region', async function() {
+  const file = h.makeAPNG(3, 3, [ RED, GREEN ]);
+  const buffer = new ArrayBuffer(file.length + 100);
+  const inside = new Uint8Array(buffer, 37, file.length);
+  new Uint8Array(buffer).fill(0xee);
+  inside.set(file);
+
+  for(const input of [ inside, new DataView(buffer, 37, file.length), Buffer.from(buffer, 37, file.length) ]) {
+    const apng = await APNG.parse(input);
+    assert.deepEqual(colors(apng), [ RED, GREEN ]);
+    assert.deepEqual(apng.validation.issues, []);
+    assert.deepEqual(apng.toOriginalBytes(), file);
+  }
+  assert.ok(new Uint8Array(buffer, 0, 37).every(function(b) { return b === 0xee; }));
+});
+
+test('toOriginalBytes returns a copy of the file as read', async function() {
+  const file = badCRC();
+  const copy = file.slice();
+  const apng = await APNG.parse(file, { repairCRC: true });
+  const bytes = apng.toOriginalBytes();
+
+  assert.ok(bytes instanceof Uint8Array);
+  assert.deepEqual(bytes, copy);
+  assert.notEqual(bytes.buffer, file.buffer);
+
+  bytes.fill(0);
+  assert.deepEqual(apng.toOriginalBytes(), copy);
+  assert.deepEqual(file, copy);
+
+  apng.destroy();
+  assert.equal(apng.toOriginalBytes(), null);
+});
+
+test('toOriginalBytes of a streamed file and with the worker option', async function() {
+  const file = h.makeAPNG(3, 3, [ RED, GREEN ]);
+  const stream = new ReadableStream({
+    start: function(controller) {
+      for(let pos = 0; pos < file.length; pos += 10) controller.enqueue(file.slice(pos, pos + 10));
+      controller.close();
+    }
+  });
+
+  assert.deepEqual((await APNG.parse(stream)).toOriginalBytes(), file);
+  assert.equal((await APNG.parse(file, { worker: h.workerFile })).toOriginalBytes(), null);
+});
+
+test('the same buffer can be parsed again', async function() {
+  const file = badCRC();
+  const first = await APNG.parse(file, { repairCRC: true });
+  const second = await APNG.parse(file, { repairCRC: true });
+  const plain = await APNG.parse(file);
+
+  assert.deepEqual(colors(second), colors(first));
+  assert.deepEqual(second.chunks, first.chunks);
+  assert.deepEqual(second.validation, first.validation);
+  assert.equal(plain.validation.issues[ 0 ].code, 'CRC_MISMATCH');
+});
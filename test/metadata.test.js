@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ];
+
+// static 1x1 PNG with the given chunks between IHDR and IDAT
+function withChunks(extra) {
+  return h.makeFile([ h.ihdr(1, 1) ].concat(extra, [
+    h.chunk('IDAT', h.compress(h.fill(1, 1, RED), 1, 1)),
+    h.chunk('IEND', Buffer.alloc(0))
+  ]));
+}
+
+function itxt(keyword, compressed, language, translated, text) {
+  const body = Buffer.from(text, 'utf8');
+  return h.chunk('iTXt', Buffer.concat([
+    Buffer.from(keyword + '\0', 'latin1'), Buffer.from([ compressed ? 1 : 0, 0 ]),
+    Buffer.from(language + '\0', 'latin1'), Buffer.from(translated + '\0', 'utf8'),
+    compressed ? zlib.deflateSync(body) : body
+  ]));
+}
+
+test('text chunks', async function() {
+  const apng = await APNG.parse(withChunks([
+    h.chunk('tEXt', Buffer.from('Title\0Caf\xe9', 'latin1')),
+    h.chunk('zTXt', Buffer.concat([ Buffer.from('Comment\0\0', 'latin1'), zlib.deflateSync(Buffer.from('compressed text')) ])),
+    itxt('Author', false, 'no', 'Forfatter', 'Blåbær'),
+    itxt('Description', true, 'ja', '説明', 'アニメーション')
+  ]));
+
+  assert.deepEqual(apng.metadata.text, [
+    { type: 'tEXt', keyword: 'Title', text: 'Café' },
+    { type: 'zTXt', keyword: 'Comment', text: 'compressed text' },
+    { type: 'iTXt', keyword: 'Author', language: 'no', translatedKeyword: 'Forfatter', text: 'Blåbær' },
+    { type: 'iTXt', keyword: 'Description', language: 'ja', translatedKeyword: '説明', text: 'アニメーション' }
+  ]);
+  assert.deepEqual(apng.validation.issues, []);
+});
+
+test('time and physical size', async function() {
+  const time = Buffer.from([ 0x07, 0xe8, 2, 29, 13, 45, 7 ]);
+  const phys = Buffer.alloc(9);
+  phys.writeUInt32BE(2835, 0);
+  phys.writeUInt32BE(5670, 4);
+  phys[ 8 ] = 1;
+
+  const apng = await APNG.parse(withChunks([ h.chunk('pHYs', phys), h.chunk('tIME', time) ]));
+
+  assert.ok(apng.metadata.time instanceof Date);
+  assert.equal(apng.metadata.time.toISOString(), '2024-02-29T13:45:07.000Z');
+  assert.deepEqual(apng.metadata.physical, { x: 2835, y: 5670, unit: 'meter' });
+
+  phys[ 8 ] = 0;
+  assert.equal((await APNG.parse(withChunks([ h.chunk('pHYs', phys) ]))).metadata.physical.unit, 'unknown');
+});
+
+test('metadata not present is null', async function() {
+  const apng = await APNG.parse(h.makePNG(1, 1, h.fill(1, 1, RED)));
+
+  assert.deepEqual(apng.metadata, {
+    text: [], time: null, physical: null, gamma: null, chromaticities: null, srgb: null, iccProfile: null, exif: null
+  });
+});
+
+test('metadata larger than maxMetadataSize is left out with a warning', async function() {
+  const text = h.chunk('zTXt', Buffer.concat([ Buffer.from('Comment\0\0', 'latin1'), zlib.deflateSync(Buffer.alloc(1000, 0x41)) ]));
+  const apng = await APNG.parse(withChunks([ text, h.chunk('tEXt', Buffer.from('Title\0ok', 'latin1')) ]), { maxMetadataSize: 100 });
+  const issue = apng.validation.issues[ 0 ];
+
+  assert.deepEqual(apng.metadata.text, [ { type: 'tEXt', keyword: 'Title', text: 'ok' } ]);
+  assert.equal(issue.code, 'INVALID_METADATA');
+  assert.equal(issue.severity, 'warning');
+  assert.equal(issue.chunk, 'zTXt');
+  assert.equal(issue.offset, 33);
+  assert.equal(apng.validation.valid, true);
+  assert.equal(apng.frames.length, 1);
+
+  assert.equal((await APNG.parse(withChunks([ text ]), { maxMetadataSize: 1000 })).metadata.text[ 0 ].text.length, 1000);
+});
+
+test('metadata chunks are listed with the other chunks', async function() {
+  const apng = await APNG.parse(withChunks([ h.chunk('tEXt', Buffer.from('Title\0x', 'latin1')), h.chunk('tIME', Buffer.alloc(7, 1)) ]));
+
+  assert.deepEqual(apng.chunks.map(function(chunk) { return chunk.name; }), [ 'IHDR', 'tEXt', 'tIME', 'IDAT', 'IEND' ]);
+  assert.equal(apng.chunks[ 1 ].pos, 41);
+  assert.equal(apng.chunks[ 1 ].size, 7);
+});
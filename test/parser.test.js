@@ -0,0 +1,120 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ], BLUE = [ 0, 0, 255, 255 ];
+
+globalThis.Worker = h.WebWorker;
+
+// stream providing the first part of the file, then waiting
+function pendingStream(file) {
+  return new ReadableStream({
+    start: function(controller) { controller.enqueue(file.slice(0, file.length >> 1)); }
+  });
+}
+
+test('abort with an error callback', async function() {
+  const controller = new AbortController();
+  const result = await new Promise(function(resolve) {
+    new APNG.Parser(pendingStream(h.makeAPNG(4, 4, [ RED, GREEN ])), function() { resolve('callback'); }, resolve, { signal: controller.signal });
+    setTimeout(function() { controller.abort(); });
+  });
+
+  assert.ok(result instanceof APNG.AbortError);
+});
+
+test('abort without an error callback is passed to the callback', async function() {
+  const controller = new AbortController();
+  let parser;
+  const result = await new Promise(function(resolve) {
+    parser = new APNG.Parser(pendingStream(h.makeAPNG(4, 4, [ RED, GREEN ])), function(err) { resolve(err); }, undefined, { signal: controller.signal });
+    setTimeout(function() { controller.abort(); });
+  });
+
+  assert.ok(result instanceof APNG.AbortError);
+  assert.deepEqual(parser.frames, []);
+});
+
+test('abort of a complete buffer, before the callback', async function() {
+  const controller = new AbortController();
+  const calls = [];
+
+  new APNG.Parser(h.makeAPNG(2, 2, [ RED ]), function(err) { calls.push(err); }, undefined, { signal: controller.signal });
+  controller.abort();
+  await new Promise(function(resolve) { setTimeout(resolve, 10); });
+
+  assert.equal(calls.length, 1);
+  assert.ok(calls[ 0 ] instanceof APNG.AbortError);
+});
+
+test('signal aborted before parsing', async function() {
+  const controller = new AbortController();
+  let received = null;
+
+  controller.abort();
+  new APNG.Parser(h.makeAPNG(2, 2, [ RED ]), function(err) { received = err; }, undefined, { signal: controller.signal });
+
+  assert.ok(received instanceof APNG.AbortError);
+  await assert.rejects(APNG.parse(h.makeAPNG(2, 2, [ RED ]), { signal: controller.signal }), APNG.AbortError);
+});
+
+// animation of three frames where the second frame cannot be decoded
+function brokenFrame() {
+  const data = h.compress(h.fill(2, 2, RED), 2, 2);
+  return h.makeFile([
+    h.ihdr(2, 2), h.actl(3, 0),
+    h.fctl(0, { width: 2, height: 2 }), h.chunk('IDAT', data),
+    h.fctl(1, { width: 2, height: 2 }), h.fdat(2, Buffer.from('not zlib data')),
+    h.fctl(3, { width: 2, height: 2 }), h.fdat(4, data),
+    h.chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function parseWith(options, withErrorCallback) {
+  return new Promise(function(resolve) {
+    const parser = new APNG.Parser(brokenFrame(), function(err) {
+      resolve({ parser: parser || this, err: err, via: 'callback' });
+    }, withErrorCallback ? function(err) { resolve({ parser: parser, err: err, via: 'onerror' }); } : undefined, options);
+  });
+}
+
+for(const mode of [ { name: 'without worker', options: {} }, { name: 'in a worker', options: { worker: h.workerFile } } ]) {
+  test('failed frames without an error callback, ' + mode.name, async function() {
+    const result = await parseWith(mode.options, false);
+    const apng = result.parser;
+
+    assert.equal(result.via, 'callback');
+    assert.ok(result.err instanceof APNG.DecodeError);
+    assert.equal(result.err.frame, 1);
+    assert.equal(apng.complete, true);
+    assert.deepEqual(apng.frameStatus, [ 'ready', 'error', 'ready' ]);
+    assert.equal(apng.framesReady, 3);
+    assert.equal(apng.frames[ 1 ], null);
+    assert.deepEqual(Array.from(apng.frames[ 2 ].data.subarray(0, 4)), RED);
+    assert.equal(apng.frameInfo.length, 3);
+  });
+
+  test('failed frames with an error callback, ' + mode.name, async function() {
+    const result = await parseWith(mode.options, true);
+
+    assert.equal(result.via, 'onerror');
+    assert.ok(result.err instanceof APNG.DecodeError);
+    assert.equal(result.err.frame, 1);
+  });
+
+  test('frames and state, ' + mode.name, async function() {
+    const apng = await APNG.parse(h.makeAPNG(2, 2, [ RED, GREEN, BLUE ], 3), mode.options);
+
+    assert.deepEqual(apng.frames.map(function(frame) { return Array.from(frame.data.subarray(0, 4)); }), [ RED, GREEN, BLUE ]);
+    assert.deepEqual(apng.frameStatus, [ 'ready', 'ready', 'ready' ]);
+    assert.equal(apng.iterations, 3);
+    assert.equal(apng.chunks.length, 9);
+  });
+}
+
+test('invalid file in a worker goes to the error callback', async function() {
+  await assert.rejects(APNG.parse(new Uint8Array(20), { worker: h.workerFile }), APNG.SignatureError);
+});
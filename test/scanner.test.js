@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ], BLUE = [ 0, 0, 255, 255 ], WHITE = [ 255, 255, 255, 255 ];
+
+function codes(apng) {
+  return apng.validation.issues.map(function(issue) { return issue.code; });
+}
+
+function colors(apng) {
+  return apng.frames.map(function(frame) { return Array.from(frame.data.subarray(0, 4)); });
+}
+
+// file with its chunks split out, to be reassembled with changes
+function chunksOf(file) {
+  const list = [];
+  for(let pos = 8; pos < file.length;) {
+    const size = Buffer.from(file.buffer, file.byteOffset + pos, 4).readUInt32BE(0);
+    list.push(Buffer.from(file.subarray(pos, pos + size + 12)));
+    pos += size + 12;
+  }
+  return list;
+}
+
+test('stops at IEND and reports trailing data', async function() {
+  const file = h.makeAPNG(2, 2, [ RED, GREEN ]);
+  const extra = h.makeFile([ h.chunk('tEXt', Buffer.from('Comment\0after IEND')) ]).subarray(8);
+  const apng = await APNG.parse(Buffer.concat([ file, extra, Buffer.from('garbage') ]));
+
+  assert.deepEqual(colors(apng), [ RED, GREEN ]);
+  assert.equal(apng.chunks[ apng.chunks.length - 1 ].name, 'IEND');
+  assert.deepEqual(apng.metadata.text, []);
+  assert.deepEqual(codes(apng), [ 'TRAILING_DATA' ]);
+  assert.equal(apng.validation.issues[ 0 ].offset, file.length);
+  assert.equal(apng.validation.valid, true);
+});
+
+test('CHUNK_LIMIT stops at a chunk larger than maxChunkSize', async function() {
+  const list = chunksOf(h.makeAPNG(8, 8, [ RED, GREEN, BLUE ]));
+  const big = h.chunk('tEXt', Buffer.concat([ Buffer.from('Comment\0'), Buffer.alloc(2000, 0x41) ]));
+  const apng = await APNG.parse(h.makeFile(list.slice(0, 6).concat([ big ], list.slice(6))), { maxChunkSize: 1000 });
+
+  assert.deepEqual(colors(apng), [ RED, GREEN ]);
+  assert.deepEqual(codes(apng), [ 'CHUNK_LIMIT', 'FRAME_COUNT_MISMATCH' ]);
+  assert.equal(apng.validation.issues[ 0 ].chunk, 'tEXt');
+});
+
+test('CHUNK_LIMIT stops at a malicious chunk length instead of waiting for data', async function() {
+  const list = chunksOf(h.makeAPNG(2, 2, [ RED, GREEN ]));
+  const bogus = Buffer.from([ 0xff, 0xff, 0xff, 0xf0, 0x74, 0x45, 0x58, 0x74, 0, 0, 0, 0 ]);
+  const apng = await APNG.parse(h.makeFile(list.slice(0, 4).concat([ bogus ], list.slice(4))));
+
+  assert.deepEqual(colors(apng), [ RED ]);
+  assert.equal(codes(apng)[ 0 ], 'CHUNK_LIMIT');
+});
+
+test('FRAME_LIMIT ignores frames beyond maxFrames', async function() {
+  const apng = await APNG.parse(h.makeAPNG(2, 2, [ RED, GREEN, BLUE, WHITE ]), { maxFrames: 2 });
+
+  assert.deepEqual(colors(apng), [ RED, GREEN ]);
+  assert.equal(apng.frameInfo.length, 2);
+  assert.equal(apng.duration, 200);
+  assert.equal(codes(apng)[ 0 ], 'FRAME_LIMIT');
+});
+
+test('IMAGE_LIMIT rejects a large image before allocating it', async function() {
+  const file = h.makeFile([ h.ihdr(100000, 100000), h.chunk('IDAT', Buffer.from([ 0x78, 0x9c, 0x03, 0x00 ])), h.chunk('IEND', Buffer.alloc(0)) ]);
+
+  await assert.rejects(APNG.parse(file), function(err) {
+    assert.ok(err instanceof APNG.ValidationError);
+    assert.equal(err.validation.issues[ 0 ].code, 'IMAGE_LIMIT');
+    return true;
+  });
+
+  await assert.rejects(APNG.parse(h.makePNG(4, 4, h.fill(4, 4, RED)), { maxPixels: 15 }), APNG.ValidationError);
+  assert.equal((await APNG.parse(h.makePNG(4, 4, h.fill(4, 4, RED)), { maxPixels: 16 })).frames.length, 1);
+});
+
+test('IMAGE_LIMIT ends the animation at a frame larger than maxPixels', async function() {
+  const list = chunksOf(h.makeAPNG(2, 2, [ RED, GREEN ]));
+  list[ 4 ] = h.fctl(1, { width: 50000, height: 50000 });
+  const apng = await APNG.parse(h.makeFile(list));
+
+  assert.deepEqual(colors(apng), [ RED ]);
+  assert.ok(codes(apng).indexOf('IMAGE_LIMIT') >= 0);
+});
+
+test('invalid chunk type stops scanning', async function() {
+  const list = chunksOf(h.makeAPNG(2, 2, [ RED, GREEN, BLUE ]));
+  const bad = Buffer.from(list[ 5 ]);
+  bad.write('f#AT', 4, 'latin1');
+  const apng = await APNG.parse(h.makeFile(list.slice(0, 5).concat([ bad ], list.slice(6))));
+
+  assert.deepEqual(colors(apng), [ RED ]);
+  assert.equal(codes(apng)[ 0 ], 'INVALID_CHUNK');
+  assert.equal(apng.validation.valid, false);
+});
+
+test('recovers the frames of a truncated file', async function() {
+  const file = h.makeAPNG(4, 4, [ RED, GREEN, BLUE ]);
+  const list = chunksOf(file);
+  const lastData = list.slice(0, 7).reduce(function(sum, c) { return sum + c.length; }, 8);
+
+  // inside the image data of the last frame: the incomplete frame is left out
+  const cut = await APNG.parse(file.slice(0, lastData + 20));
+  assert.deepEqual(colors(cut), [ RED, GREEN ]);
+  assert.deepEqual(codes(cut), [ 'TRUNCATED_CHUNK', 'INCOMPLETE_FRAME' ]);
+  assert.equal(cut.validation.valid, false);
+
+  // inside the IEND chunk: all frames are complete
+  const noEnd = await APNG.parse(file.slice(0, lastData + list[ 7 ].length + 5));
+  assert.deepEqual(colors(noEnd), [ RED, GREEN, BLUE ]);
+  assert.deepEqual(codes(noEnd), [ 'TRUNCATED_CHUNK' ]);
+
+  await assert.rejects(APNG.parse(file.slice(0, lastData + 20), { strict: true }), APNG.ValidationError);
+  await assert.rejects(APNG.parse(file.slice(0, 20)), APNG.ValidationError);
+});
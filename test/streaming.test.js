@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ], GREEN = [ 0, 255, 0, 255 ], BLUE = [ 0, 0, 255, 255 ];
+
+// stream providing the file in pieces of the given size
+function pieces(file, size) {
+  let pos = 0;
+  return new ReadableStream({
+    pull: function(controller) {
+      if ( pos >= file.length ) return controller.close();
+      controller.enqueue(file.slice(pos, pos += size));
+    }
+  });
+}
+
+// parse and record the events in order
+function record(input, options) {
+  const events = [];
+  return new Promise(function(resolve, reject) {
+    new APNG.Parser(input, function() {
+      events.push('callback');
+      resolve({ apng: this, events: events });
+    }, reject, Object.assign({
+      onheader  : function() { events.push('header ' + this.width + 'x' + this.height); },
+      onframe   : function(index, frame, info) {
+        assert.equal(frame, this.frames[ index ]);
+        assert.equal(info, this.frameInfo[ index ]);
+        events.push('frame ' + index);
+      },
+      oncomplete: function() { events.push('complete'); }
+    }, options));
+  });
+}
+
+function sameResult(actual, expected) {
+  assert.equal(actual.frames.length, expected.frames.length);
+  actual.frames.forEach(function(frame, index) {
+    assert.ok(Buffer.from(frame.data).equals(Buffer.from(expected.frames[ index ].data)));
+  });
+  assert.deepEqual(actual.frameInfo, expected.frameInfo);
+  assert.deepEqual(actual.chunks, expected.chunks);
+  assert.deepEqual(actual.validation, expected.validation);
+  assert.equal(actual.duration, expected.duration);
+  assert.equal(actual.iterations, expected.iterations);
+}
+
+test('stream gives the same result as a buffer', async function() {
+  const file = h.makeAPNG(6, 5, [ RED, GREEN, BLUE ], 2);
+  const expected = await APNG.parse(file);
+
+  for(const size of [ 1, 7, 64, file.length ]) {
+    const result = await record(pieces(file, size));
+    sameResult(result.apng, expected);
+    assert.deepEqual(result.events, [ 'header 6x5', 'frame 0', 'frame 1', 'frame 2', 'complete', 'callback' ]);
+  }
+});
+
+test('events for a buffer and a static PNG', async function() {
+  const animation = await record(h.makeAPNG(2, 2, [ RED, GREEN ]));
+  const image = await record(h.makePNG(3, 1, h.fill(3, 1, BLUE)));
+
+  assert.deepEqual(animation.events, [ 'header 2x2', 'frame 0', 'frame 1', 'complete', 'callback' ]);
+  assert.deepEqual(image.events, [ 'header 3x1', 'frame 0', 'complete', 'callback' ]);
+});
+
+test('frames are produced before the stream has ended', async function() {
+  const file = h.makeAPNG(2, 2, [ RED, GREEN, BLUE ]);
+  const apng = await APNG.parse(file);
+  const fdat = apng.chunks.filter(function(chunk) { return chunk.name === 'fdAT'; })[ 1 ];
+  let controller, first;
+
+  const firstFrames = new Promise(function(resolve) { first = resolve; });
+  const stream = new ReadableStream({ start: function(c) { controller = c; } });
+  const result = record(stream, {
+    onframe: function(index) { if ( index === 1 ) first(this.framesReady); }
+  });
+
+  controller.enqueue(file.slice(0, fdat.pos));                          // up to the data of the last frame
+  assert.equal(await firstFrames, 1);
+
+  controller.enqueue(file.slice(fdat.pos));
+  controller.close();
+  sameResult((await result).apng, apng);
+});
+
+test('Blob with the streaming option', async function() {
+  const file = h.makeAPNG(4, 4, [ RED, GREEN ]);
+  const expected = await APNG.parse(file);
+  const streamed = await record(new Blob([ file ]), { streaming: true });
+  const whole = await record(new Blob([ file ]));
+
+  sameResult(streamed.apng, expected);
+  sameResult(whole.apng, expected);
+  assert.deepEqual(streamed.events, whole.events);
+});
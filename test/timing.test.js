@@ -0,0 +1,100 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+function anim(delays) {
+  return {
+    frameInfo: delays.map(function(delay) { return { delay: delay }; }),
+    duration : delays.reduce(function(sum, delay) { return sum + delay; }, 0)
+  };
+}
+
+function delays(apng) {
+  return apng.frameInfo.map(function(info) { return info.delay; });
+}
+
+test('retime scales delays, rounding so the total is kept', function() {
+  const apng = anim([ 100, 100, 100 ]);
+  APNG.Helper.retime(apng, 0.5);
+  assert.deepEqual(delays(apng), [ 50, 50, 50 ]);
+  assert.equal(apng.duration, 150);
+
+  const odd = anim([ 10, 10, 10 ]);
+  APNG.Helper.retime(odd, 0.55);
+  assert.deepEqual(delays(odd), [ 6, 5, 6 ]);
+  assert.equal(odd.duration, 17);
+});
+
+test('ranges limit the change and are clamped to the frames', function() {
+  const apng = anim([ 100, 100, 100 ]);
+  APNG.Helper.retime(apng, 2, [ 1, 1 ]);
+  assert.deepEqual(delays(apng), [ 100, 200, 100 ]);
+  assert.equal(apng.duration, 400);
+
+  APNG.Helper.setDelay(apng, 40, [ 1, 10 ]);
+  assert.deepEqual(delays(apng), [ 100, 40, 40 ]);
+  assert.equal(apng.duration, 180);
+
+  APNG.Helper.setFrameDelay(apng, 0, 0);
+  assert.deepEqual(delays(apng), [ 0, 40, 40 ]);
+  assert.throws(function() { APNG.Helper.setFrameDelay(apng, 3, 10); }, RangeError);
+});
+
+test('setDuration scales delays, or divides the duration if there is none', function() {
+  const apng = anim([ 100, 200, 100 ]);
+  APNG.Helper.setDuration(apng, 1000);
+  assert.deepEqual(delays(apng), [ 250, 500, 250 ]);
+
+  const empty = anim([ 0, 0, 0 ]);
+  APNG.Helper.setDuration(empty, 100);
+  assert.deepEqual(delays(empty), [ 33, 34, 33 ]);
+  assert.equal(empty.duration, 100);
+});
+
+test('easeDelays keeps the duration', function() {
+  const linear = anim([ 50, 50, 50, 50 ]);
+  APNG.Helper.easeDelays(linear, 'linear');
+  assert.deepEqual(delays(linear), [ 50, 50, 50, 50 ]);
+
+  [ 'easeIn', 'easeOut', 'easeInOut', function(t) { return Math.sqrt(t); } ].forEach(function(easing) {
+    const apng = anim([ 100, 100, 100, 100, 100, 100 ]);
+    APNG.Helper.easeDelays(apng, easing);
+    assert.equal(apng.duration, 600, String(easing));
+  });
+
+  const easeIn = anim([ 100, 100, 100, 100, 100, 100 ]);
+  APNG.Helper.easeDelays(easeIn, 'easeIn');
+  delays(easeIn).slice(1).forEach(function(delay, i) {
+    assert.ok(delay < delays(easeIn)[ i ], 'easeIn starts slowly');
+  });
+
+  assert.throws(function() { APNG.Helper.easeDelays(anim([ 10 ]), 'bounce'); }, TypeError);
+});
+
+test('snapDelays snaps frame start times to the grid', function() {
+  const apng = anim([ 33, 33, 34, 33 ]);
+  APNG.Helper.snapDelays(apng, 10);
+  assert.deepEqual(delays(apng), [ 30, 40, 30, 30 ]);
+  assert.equal(apng.duration, 130);
+
+  assert.throws(function() { APNG.Helper.snapDelays(apng, 0); }, RangeError);
+});
+
+test('rejects negative and non-finite times and reversed ranges', function() {
+  const apng = anim([ 100, 100, 100 ]);
+
+  [ NaN, -1, Infinity, undefined ].forEach(function(value) {
+    assert.throws(function() { APNG.Helper.retime(apng, value); }, RangeError, 'retime ' + value);
+    assert.throws(function() { APNG.Helper.setDuration(apng, value); }, RangeError, 'setDuration ' + value);
+    assert.throws(function() { APNG.Helper.setDelay(apng, value); }, RangeError, 'setDelay ' + value);
+  });
+
+  assert.throws(function() { APNG.Helper.retime(apng, 2, [ 2, 1 ]); }, RangeError);
+  assert.throws(function() { APNG.Helper.easeDelays(apng, 'linear', [ 2, 0 ]); }, RangeError);
+
+  assert.deepEqual(delays(apng), [ 100, 100, 100 ]);
+  assert.equal(apng.duration, 300);
+});
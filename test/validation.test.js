@@ -0,0 +1,121 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const h = require('./helpers.js');
+const APNG = h.APNG;
+
+const RED = [ 255, 0, 0, 255 ];
+const IEND = h.chunk('IEND', Buffer.alloc(0));
+
+function codes(apng) {
+  return apng.validation.issues.map(function(issue) { return issue.code; });
+}
+
+// two frame animation of 2x2 pixels with the given frame control options
+function animation(first, second, frames) {
+  const data = h.compress(h.fill(2, 2, RED), 2, 2);
+  return [
+    h.ihdr(2, 2), h.actl(frames || 2, 0),
+    h.fctl(0, Object.assign({ width: 2, height: 2 }, first)), h.chunk('IDAT', data),
+    h.fctl(1, Object.assign({ width: 2, height: 2 }, second)), h.fdat(2, data),
+    IEND
+  ];
+}
+
+test('a valid file has an empty report', async function() {
+  const apng = await APNG.parse(h.makeFile(animation()));
+
+  assert.deepEqual(apng.validation, { valid: true, issues: [] });
+});
+
+test('issues have code, severity, chunk, offset and message', async function() {
+  const list = animation({}, { x: 1, width: 2 });
+  const offset = 8 + list.slice(0, 4).reduce(function(sum, chunk) { return sum + chunk.length; }, 0);
+  const apng = await APNG.parse(h.makeFile(list));
+  const issue = apng.validation.issues[ 0 ];
+
+  assert.equal(apng.validation.valid, false);
+  assert.equal(issue.code, 'FRAME_OUTSIDE_CANVAS');
+  assert.equal(issue.severity, 'error');
+  assert.equal(issue.chunk, 'fcTL');
+  assert.equal(issue.offset, offset);
+  assert.equal(typeof issue.message, 'string');
+  assert.equal(apng.frames.length, 2);
+});
+
+test('sequence numbers out of order', async function() {
+  const list = animation();
+  list[ 4 ] = h.fctl(2, { width: 2, height: 2 });
+  list[ 5 ] = h.fdat(1, h.compress(h.fill(2, 2, RED), 2, 2));
+  const apng = await APNG.parse(h.makeFile(list));
+
+  assert.deepEqual(codes(apng), [ 'SEQUENCE_ORDER', 'SEQUENCE_ORDER' ]);
+  assert.deepEqual(apng.validation.issues.map(function(issue) { return issue.chunk; }), [ 'fcTL', 'fdAT' ]);
+});
+
+test('frame count in acTL does not match the frames', async function() {
+  const apng = await APNG.parse(h.makeFile(animation({}, {}, 3)));
+
+  assert.deepEqual(codes(apng), [ 'FRAME_COUNT_MISMATCH' ]);
+  assert.equal(apng.validation.issues[ 0 ].chunk, 'acTL');
+  assert.equal(apng.validation.issues[ 0 ].offset, null);
+});
+
+test('zero sized region', async function() {
+  const apng = await new Promise(function(resolve) {
+    const parser = new APNG.Parser(h.makeFile(animation({}, { width: 0 })), done, done);
+    function done() { setTimeout(function() { resolve(parser); }); }
+  });
+
+  assert.equal(codes(apng)[ 0 ], 'ZERO_SIZE_REGION');
+  assert.equal(apng.validation.valid, false);
+});
+
+test('first frame with dispose previous is a warning', async function() {
+  const apng = await APNG.parse(h.makeFile(animation({ dispose: 2 })));
+
+  assert.deepEqual(codes(apng), [ 'FIRST_FRAME_DISPOSE_PREVIOUS' ]);
+  assert.equal(apng.validation.issues[ 0 ].severity, 'warning');
+  assert.equal(apng.validation.valid, true);
+  assert.equal(apng.frameInfo[ 0 ].dispose, 1);
+});
+
+test('missing IEND', async function() {
+  const apng = await APNG.parse(h.makeFile(animation().slice(0, -1)));
+
+  assert.deepEqual(codes(apng), [ 'MISSING_IEND' ]);
+  assert.equal(apng.frames.length, 2);
+});
+
+test('IHDR that is not the first chunk is rejected', async function() {
+  const list = animation();
+  await assert.rejects(APNG.parse(h.makeFile([ list[ 1 ], list[ 0 ] ].concat(list.slice(2)))), function(err) {
+    assert.ok(err instanceof APNG.ValidationError);
+    assert.ok(err instanceof APNG.ParserError);
+    assert.equal(err.validation.issues[ 0 ].code, 'IHDR_POSITION');
+    return true;
+  });
+});
+
+test('strict mode rejects errors but not warnings', async function() {
+  await assert.rejects(APNG.parse(h.makeFile(animation({}, {}, 3)), { strict: true }), function(err) {
+    assert.ok(err instanceof APNG.ValidationError);
+    assert.equal(err.name, 'ValidationError');
+    assert.deepEqual(err.validation.issues.map(function(issue) { return issue.code; }), [ 'FRAME_COUNT_MISMATCH' ]);
+    return true;
+  });
+
+  assert.equal((await APNG.parse(h.makeFile(animation({ dispose: 2 })), { strict: true })).frames.length, 2);
+});
+
+test('signature and input type errors', async function() {
+  const file = h.makeFile(animation());
+  file[ 1 ] = 0x4a;
+
+  await assert.rejects(APNG.parse(file), function(err) {
+    return err instanceof APNG.SignatureError && err instanceof APNG.ParserError && err.name === 'SignatureError';
+  });
+  assert.throws(function() { new APNG.Parser(42, function() {}); }, TypeError);
+  await assert.rejects(APNG.parse({}), TypeError);
+});
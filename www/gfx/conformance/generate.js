@@ -0,0 +1,482 @@
+/*
+	Generates the APNG conformance test images, their expected renderings
+	and tests.json used by www/conformance.html.
+
+	The cases are recreations of those of the standard APNG test suite
+	(https://philip.html5.org/tests/apng/tests.html): default image
+	handling, split data chunks, dispose and blend operations, frame
+	offsets, delays, number of plays, colour types, bit depths and
+	interlacing. None of the suite's images are used or included; the
+	files are written chunk by chunk here from the case descriptions,
+	independently of the library, and the expected rendering of each test
+	(the last frame as displayed) is stated explicitly for each case.
+
+	Usage: node generate.js
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const W = 128;
+const H = 64;
+
+const GREEN = [ 0, 255, 0, 255 ];
+const RED = [ 255, 0, 0, 255 ];
+const CLEAR = [ 0, 0, 0, 0 ];
+
+// left half green, right half transparent
+function halves(x) {return x < W / 2 ? GREEN : CLEAR;}
+
+// straight alpha source-over as defined by the APNG specification
+function over(src, dst) {
+  const as = src[ 3 ] / 255, ad = dst[ 3 ] / 255;
+  const a = as + ad * (1 - as);
+  return [ 0, 1, 2 ].map(function(c) {
+    return a ? Math.round((src[ c ] * as + dst[ c ] * ad * (1 - as)) / a) : 0;
+  }).concat(Math.round(a * 255));
+}
+
+function frame(options) {
+  return Object.assign({ x: 0, y: 0, width: W, height: H, delay: [ 1, 10 ], dispose: 0, blend: 0 }, options);
+}
+
+/*
+  Test cases. `frames` are the animation frames in file order, `defaultImage`
+  is an IDAT image that is not part of the animation. `expected` is the last
+  frame as displayed, as a color or a function of (x, y).
+*/
+const tests = [
+  {
+    name       : 'static',
+    title      : 'Static PNG',
+    description: 'Plain PNG without acTL. A single frame.',
+    animated   : false,
+    frames     : [ frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'default-first',
+    title      : 'Default image is the first frame',
+    description: 'fcTL before IDAT: the default image is the only frame.',
+    frames     : [ frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name        : 'default-ignored',
+    title       : 'Default image is not part of the animation',
+    description : 'Red IDAT without fcTL, followed by a green fcTL/fdAT frame.',
+    defaultImage: RED,
+    frames      : [ frame({ color: GREEN }) ],
+    expected    : GREEN
+  },
+  {
+    name        : 'default-ignored-multi',
+    title       : 'Default image not part of animation, multiple frames',
+    description : 'Red IDAT without fcTL, a red frame and a green frame.',
+    defaultImage: RED,
+    frames      : [ frame({ color: RED }), frame({ color: GREEN }) ],
+    expected    : GREEN
+  },
+  {
+    name       : 'split-idat',
+    title      : 'Split IDAT with zero-length chunk',
+    description: 'Default image data is split over several IDAT chunks, one of them empty.',
+    split      : true,
+    frames     : [ frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'split-fdat',
+    title      : 'Split fdAT with zero-length chunk',
+    description: 'Frame data is split over several fdAT chunks, one of them empty.',
+    split      : true,
+    frames     : [ frame({ color: RED }), frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'dispose-none',
+    title      : 'APNG_DISPOSE_OP_NONE',
+    description: 'Green frame with dispose none, then a transparent frame blended over it.',
+    frames     : [ frame({ color: GREEN }), frame({ color: CLEAR, blend: 1 }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'dispose-background',
+    title      : 'APNG_DISPOSE_OP_BACKGROUND',
+    description: 'Red frame with dispose background, then a half transparent frame blended over.',
+    frames     : [ frame({ color: RED, dispose: 1 }), frame({ color: halves, blend: 1 }) ],
+    expected   : halves
+  },
+  {
+    name       : 'dispose-background-final',
+    title      : 'APNG_DISPOSE_OP_BACKGROUND on final frame',
+    description: 'Dispose applies after the frame is shown, so the final frame stays visible.',
+    frames     : [ frame({ color: RED }), frame({ color: GREEN, dispose: 1 }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'dispose-background-region',
+    title      : 'APNG_DISPOSE_OP_BACKGROUND on a region',
+    description: 'Only the frame region is cleared.',
+    frames     : [
+      frame({ color: GREEN }),
+      frame({ color: RED, x: 64, width: 64, dispose: 1 }),
+      frame({ color: CLEAR, width: 1, height: 1, blend: 1 })
+    ],
+    expected   : halves
+  },
+  {
+    name       : 'dispose-previous',
+    title      : 'APNG_DISPOSE_OP_PREVIOUS',
+    description: 'Red region with dispose previous over a green frame is restored to green.',
+    frames     : [
+      frame({ color: GREEN }),
+      frame({ color: RED, x: 32, y: 16, width: 64, height: 32, dispose: 2 }),
+      frame({ color: CLEAR, width: 1, height: 1, blend: 1 })
+    ],
+    expected   : GREEN
+  },
+  {
+    name       : 'dispose-previous-final',
+    title      : 'APNG_DISPOSE_OP_PREVIOUS on final frame',
+    description: 'Dispose applies after the frame is shown, so the final frame stays visible.',
+    frames     : [ frame({ color: RED }), frame({ color: GREEN, dispose: 2 }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'dispose-previous-first',
+    title      : 'APNG_DISPOSE_OP_PREVIOUS on first frame',
+    description: 'Dispose previous on the first frame is treated as dispose background.',
+    frames     : [ frame({ color: RED, dispose: 2 }), frame({ color: halves, blend: 1 }) ],
+    expected   : halves
+  },
+  {
+    name       : 'dispose-previous-after-background',
+    title      : 'APNG_DISPOSE_OP_PREVIOUS after APNG_DISPOSE_OP_BACKGROUND',
+    description: 'Dispose previous restores the canvas including the region cleared by the frame before.',
+    frames     : [
+      frame({ color: GREEN }),
+      frame({ color: RED, x: 64, width: 64, dispose: 1 }),
+      frame({ color: RED, width: 64, dispose: 2 }),
+      frame({ color: CLEAR, width: 1, height: 1, blend: 1 })
+    ],
+    expected   : halves
+  },
+  {
+    name       : 'blend-source-solid',
+    title      : 'APNG_BLEND_OP_SOURCE on solid colour',
+    description: 'Green frame replaces a red frame.',
+    frames     : [ frame({ color: RED }), frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'blend-source-transparent',
+    title      : 'APNG_BLEND_OP_SOURCE with transparent pixels',
+    description: 'Transparent pixels replace the red pixels below.',
+    frames     : [ frame({ color: RED }), frame({ color: halves }) ],
+    expected   : halves
+  },
+  {
+    name       : 'blend-source-semi',
+    title      : 'APNG_BLEND_OP_SOURCE with semi-transparent pixels',
+    description: 'Semi-transparent green replaces red, without blending.',
+    frames     : [ frame({ color: RED }), frame({ color: [ 0, 255, 0, 128 ] }) ],
+    expected   : [ 0, 255, 0, 128 ]
+  },
+  {
+    name       : 'blend-over-solid',
+    title      : 'APNG_BLEND_OP_OVER on solid colour',
+    description: 'Half transparent frame blended over green.',
+    frames     : [ frame({ color: GREEN }), frame({ color: function(x) {return x < W / 2 ? GREEN : CLEAR;}, blend: 1 }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'blend-over-transparent',
+    title      : 'APNG_BLEND_OP_OVER on transparent',
+    description: 'Semi-transparent green blended over a transparent frame.',
+    frames     : [ frame({ color: CLEAR }), frame({ color: [ 0, 255, 0, 128 ], blend: 1 }) ],
+    expected   : [ 0, 255, 0, 128 ]
+  },
+  {
+    name       : 'blend-over-semi-repeated',
+    title      : 'APNG_BLEND_OP_OVER repeatedly with semi-transparent colours',
+    description: 'Semi-transparent colours blended over each other.',
+    frames     : [
+      frame({ color: [ 255, 0, 0, 128 ] }),
+      frame({ color: [ 0, 255, 0, 128 ], blend: 1 }),
+      frame({ color: [ 0, 0, 255, 96 ], blend: 1 }),
+      frame({ color: [ 0, 255, 0, 160 ], blend: 1 })
+    ],
+    expected   : over([ 0, 255, 0, 160 ], over([ 0, 0, 255, 96 ], over([ 0, 255, 0, 128 ], [ 255, 0, 0, 128 ])))
+  },
+  {
+    name       : 'offsets',
+    title      : 'Frame offsets',
+    description: 'Each quadrant of a red frame is covered by a green frame region.',
+    frames     : [
+      frame({ color: RED }),
+      frame({ color: GREEN, x: 64, y: 32, width: 64, height: 32 }),
+      frame({ color: GREEN, x: 0, y: 32, width: 64, height: 32 }),
+      frame({ color: GREEN, x: 64, y: 0, width: 64, height: 32 }),
+      frame({ color: GREEN, x: 0, y: 0, width: 64, height: 32 })
+    ],
+    expected   : GREEN
+  },
+  {
+    name       : 'delays',
+    title      : 'Delays',
+    description: 'delay_num/delay_den: 1/10 s, 15/1000 s, 0/1 s and 1/0 (denominator 0 means 1/100 s).',
+    frames     : [
+      frame({ color: RED, delay: [ 1, 10 ] }),
+      frame({ color: RED, delay: [ 15, 1000 ] }),
+      frame({ color: RED, delay: [ 0, 1 ] }),
+      frame({ color: GREEN, delay: [ 1, 0 ] })
+    ],
+    expected   : GREEN
+  },
+  {
+    name       : 'plays-infinite',
+    title      : 'num_plays 0',
+    description: 'Loops indefinitely.',
+    plays      : 0,
+    frames     : [ frame({ color: RED }), frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'plays-2',
+    title      : 'num_plays 2',
+    description: 'Plays twice.',
+    plays      : 2,
+    frames     : [ frame({ color: RED }), frame({ color: GREEN }) ],
+    expected   : GREEN
+  },
+  {
+    name       : 'greyscale',
+    title      : 'Greyscale',
+    description: 'Colour type 0, 8-bit.',
+    colorType  : 0,
+    frames     : [ frame({ color: [ 0, 0, 0, 255 ] }), frame({ color: [ 128, 128, 128, 255 ], x: 32, y: 16, width: 64, height: 32 }) ],
+    expected   : function(x, y) {return x >= 32 && x < 96 && y >= 16 && y < 48 ? [ 128, 128, 128, 255 ] : [ 0, 0, 0, 255 ];}
+  },
+  {
+    name       : 'greyscale-alpha',
+    title      : 'Greyscale with alpha',
+    description: 'Colour type 4, 8-bit, blended over.',
+    colorType  : 4,
+    frames     : [ frame({ color: [ 255, 255, 255, 255 ] }), frame({ color: [ 0, 0, 0, 128 ], blend: 1 }) ],
+    expected   : over([ 0, 0, 0, 128 ], [ 255, 255, 255, 255 ])
+  },
+  {
+    name       : 'rgb',
+    title      : 'Truecolour',
+    description: 'Colour type 2, 8-bit.',
+    colorType  : 2,
+    frames     : [ frame({ color: RED }), frame({ color: GREEN, x: 64, width: 64 }) ],
+    expected   : function(x) {return x < 64 ? RED : GREEN;}
+  },
+  {
+    name       : 'palette',
+    title      : 'Palette with tRNS',
+    description: 'Colour type 3 with transparent palette entries, blended over.',
+    colorType  : 3,
+    frames     : [ frame({ color: RED }), frame({ color: function(x) {return x < W / 2 ? GREEN : CLEAR;}, blend: 1 }) ],
+    expected   : function(x) {return x < W / 2 ? GREEN : RED;}
+  },
+  {
+    name       : 'rgba-16',
+    title      : '16-bit truecolour with alpha',
+    description: 'Colour type 6, 16-bit.',
+    bitDepth   : 16,
+    frames     : [ frame({ color: RED }), frame({ color: [ 0, 255, 0, 128 ], blend: 1 }) ],
+    expected   : over([ 0, 255, 0, 128 ], RED)
+  },
+  {
+    name       : 'interlaced',
+    title      : 'Interlaced',
+    description: 'Adam7 interlaced frames of odd sizes.',
+    interlace  : 1,
+    frames     : [
+      frame({ color: RED }),
+      frame({ color: function(x, y) {return (x + y) % 3 ? GREEN : [ 0, 128, 0, 255 ];}, width: 127, height: 63 }),
+      frame({ color: GREEN, x: 127, width: 1 }),
+      frame({ color: GREEN, y: 63, width: 127, height: 1 })
+    ],
+    expected   : function(x, y) {return x < 127 && y < 63 && !((x + y) % 3) ? [ 0, 128, 0, 255 ] : GREEN;}
+  }
+];
+
+/*-----------------------------------------------------------------------------------------------------------------*\
+
+    PNG WRITER
+
+\*-----------------------------------------------------------------------------------------------------------------*/
+
+const crcTable = new Uint32Array(256).map(function(_, n) {
+  for(let k = 0; k < 8; k++) n = n & 1 ? 0xedb88320 ^ (n >>> 1) : n >>> 1;
+  return n >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = -1;
+  for(let i = 0; i < buffer.length; i++) crc = crcTable[ (crc ^ buffer[ i ]) & 0xff ] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+function chunk(name, data) {
+  const result = Buffer.alloc(data.length + 12);
+  result.writeUInt32BE(data.length, 0);
+  result.write(name, 4, 'latin1');
+  data.copy(result, 8);
+  result.writeUInt32BE(crc32(result.subarray(4, result.length - 4)), result.length - 4);
+  return result;
+}
+
+function u32(values) {
+  const result = Buffer.alloc(values.length * 4);
+  values.forEach(function(v, i) {result.writeUInt32BE(v, i * 4);});
+  return result;
+}
+
+function colorAt(color, x, y) {
+  return typeof color === 'function' ? color(x, y) : color;
+}
+
+// scanlines (filter type 0) of a width x height region for the colour type and bit depth
+function scanlines(f, width, height, x0, y0, step, format) {
+  const out = [];
+  for(let y = y0; y < height; y += step[ 1 ]) {
+    const line = [ 0 ];
+    for(let x = x0; x < width; x += step[ 0 ]) {
+      const c = colorAt(f.color, x, y);
+      let samples;
+      if ( format.colorType === 0 ) samples = [ c[ 0 ] ];
+      else if ( format.colorType === 2 ) samples = c.slice(0, 3);
+      else if ( format.colorType === 3 ) samples = [ format.palette.indexOf(c.join()) ];
+      else if ( format.colorType === 4 ) samples = [ c[ 0 ], c[ 3 ] ];
+      else samples = c;
+      samples.forEach(function(s) {
+        if ( format.bitDepth === 16 ) line.push(s, s);                  // s * 257
+        else line.push(s);
+      });
+    }
+    if ( line.length > 1 ) out.push(Buffer.from(line));
+  }
+  return out;
+}
+
+function imageData(f, format) {
+  const width = f.width, height = f.height;
+  let lines = [];
+
+  if ( format.interlace ) {
+    [ [ 0, 0, 8, 8 ], [ 4, 0, 8, 8 ], [ 0, 4, 4, 8 ], [ 2, 0, 4, 4 ], [ 0, 2, 2, 4 ], [ 1, 0, 2, 2 ], [ 0, 1, 1, 2 ] ]
+      .forEach(function(pass) {
+        lines = lines.concat(scanlines(f, width, height, pass[ 0 ], pass[ 1 ], [ pass[ 2 ], pass[ 3 ] ], format));
+      });
+  }
+  else lines = scanlines(f, width, height, 0, 0, [ 1, 1 ], format);
+
+  return zlib.deflateSync(Buffer.concat(lines));
+}
+
+// split data into parts, with an empty part in the middle
+function split(data, isSplit) {
+  if ( !isSplit ) return [ data ];
+  const half = data.length >> 1;
+  return [ data.subarray(0, half), Buffer.alloc(0), data.subarray(half) ];
+}
+
+function build(test) {
+  const format = {
+    colorType: test.colorType === undefined ? 6 : test.colorType,
+    bitDepth : test.bitDepth || 8,
+    interlace: test.interlace || 0
+  };
+  const list = [ Buffer.from([ 0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A ]) ];
+  const ihdr = Buffer.alloc(13);
+  let seq = 0;
+
+  ihdr.writeUInt32BE(W, 0);
+  ihdr.writeUInt32BE(H, 4);
+  ihdr[ 8 ] = format.bitDepth;
+  ihdr[ 9 ] = format.colorType;
+  ihdr[ 12 ] = format.interlace;
+  list.push(chunk('IHDR', ihdr));
+
+  if ( format.colorType === 3 ) {
+    format.palette = [];
+    test.frames.forEach(function(f) {
+      for(let y = 0; y < f.height; y++) for(let x = 0; x < f.width; x++) {
+        const key = colorAt(f.color, x, y).join();
+        if ( format.palette.indexOf(key) < 0 ) format.palette.push(key);
+      }
+    });
+    const colors = format.palette.map(function(key) {return key.split(',').map(Number);});
+    list.push(chunk('PLTE', Buffer.from([].concat.apply([], colors.map(function(c) {return c.slice(0, 3);})))));
+    list.push(chunk('tRNS', Buffer.from(colors.map(function(c) {return c[ 3 ];}))));
+  }
+
+  if ( test.animated !== false ) list.push(chunk('acTL', u32([ test.frames.length, test.plays === undefined ? 1 : test.plays ])));
+
+  if ( test.defaultImage ) {
+    split(imageData(frame({ color: test.defaultImage }), format), test.split).forEach(function(part) {
+      list.push(chunk('IDAT', part));
+    });
+  }
+
+  test.frames.forEach(function(f, index) {
+    if ( test.animated !== false ) {
+      const fctl = Buffer.concat([ u32([ seq++, f.width, f.height, f.x, f.y ]), Buffer.alloc(6) ]);
+      fctl.writeUInt16BE(f.delay[ 0 ], 20);
+      fctl.writeUInt16BE(f.delay[ 1 ], 22);
+      fctl[ 24 ] = f.dispose;
+      fctl[ 25 ] = f.blend;
+      list.push(chunk('fcTL', fctl));
+    }
+
+    split(imageData(f, format), test.split).forEach(function(part) {
+      if ( !index && !test.defaultImage ) list.push(chunk('IDAT', part));
+      else list.push(chunk('fdAT', Buffer.concat([ u32([ seq++ ]), part ])));
+    });
+  });
+
+  list.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(list);
+}
+
+function buildExpected(test) {
+  return build({
+    animated : false,
+    colorType: 6,
+    frames   : [ frame({ color: test.expected }) ]
+  });
+}
+
+/*-----------------------------------------------------------------------------------------------------------------*\
+
+    WRITE FILES
+
+\*-----------------------------------------------------------------------------------------------------------------*/
+
+fs.mkdirSync(path.join(__dirname, 'expected'), { recursive: true });
+
+const manifest = tests.map(function(test, index) {
+  const file = ('00' + (index + 1)).substr(-3) + '-' + test.name + '.png';
+  const entry = { file: file, title: test.title, description: test.description };
+
+  fs.writeFileSync(path.join(__dirname, file), build(test));
+  fs.writeFileSync(path.join(__dirname, 'expected', file), buildExpected(test));
+
+  if ( test.animated !== false ) {
+    entry.plays = test.plays === undefined ? 1 : test.plays;
+    entry.delays = test.frames.map(function(f) {return f.delay[ 0 ] / (f.delay[ 1 ] || 100) * 1000;});
+  }
+
+  return entry;
+});
+
+fs.writeFileSync(path.join(__dirname, 'tests.json'), JSON.stringify(manifest, null, 2) + '\n');
+console.log('Generated ' + manifest.length + ' tests.');